@@ -0,0 +1,118 @@
+/**
+ * Argument validation
+ * Compiles a tool's JSON input schema into a zod schema, so every call is checked against what the tool
+ * advertises: types, enums, numeric ranges, string lengths, required and unknown parameters. Rules that span
+ * several parameters (e.g. mutually exclusive URLs) are declared per tool. Every violation is reported at once.
+ */
+
+import { z } from 'zod';
+
+function propertySchema(property) {
+  if (property.enum) {
+    return z.enum(property.enum);
+  }
+  if (property.anyOf) {
+    return z.union(property.anyOf.map(propertySchema));
+  }
+  let schema;
+  switch (property.type) {
+    case 'string':
+      schema = z.string();
+      if (property.maxLength !== undefined) schema = schema.max(property.maxLength);
+      return schema;
+    case 'number':
+    case 'integer':
+      schema = property.type === 'integer' ? z.number().int() : z.number();
+      if (property.minimum !== undefined) schema = schema.gte(property.minimum);
+      if (property.exclusiveMinimum !== undefined) schema = schema.gt(property.exclusiveMinimum);
+      if (property.maximum !== undefined) schema = schema.lte(property.maximum);
+      return schema;
+    case 'boolean':
+      return z.boolean();
+    case 'array':
+      return z.array(property.items ? propertySchema(property.items) : z.any());
+    case 'object':
+      return objectSchema(property);
+    default:
+      return z.any();
+  }
+}
+
+function objectSchema({ properties = {}, required = [] }) {
+  const shape = {};
+  for (const [field, property] of Object.entries(properties)) {
+    const schema = propertySchema(property);
+    if (!required.includes(field)) {
+      // Clients often send null for parameters they leave out
+      shape[field] = schema.nullish();
+    } else {
+      shape[field] = property.type === 'string' && !property.enum ? schema.min(1) : schema;
+    }
+  }
+  return z.object(shape).strict();
+}
+
+// Build the zod schema of a tool's arguments from its input schema
+export function createArgumentSchema(inputSchema) {
+  return objectSchema(inputSchema);
+}
+
+function valueAt(args, path) {
+  return path.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), args);
+}
+
+// A problem in the style of the other argument errors: the field first, except for enums, which name the field
+// and the accepted values in one sentence
+function describeIssue(issue, args) {
+  const field = issue.path.join('.');
+  switch (issue.code) {
+    case z.ZodIssueCode.invalid_type:
+      return issue.received === 'undefined' ? `${field}: is required` : `${field}: expected ${issue.expected}, got ${issue.received}`;
+    case z.ZodIssueCode.invalid_enum_value:
+      return `Invalid ${field} '${issue.received}'. Valid values: ${issue.options.join(', ')}`;
+    case z.ZodIssueCode.unrecognized_keys:
+      return issue.keys.map(key => issue.path.length > 0 ? `${field}.${key}: is not allowed` : `${key}: is not a parameter of this tool`).join('; ');
+    case z.ZodIssueCode.too_small:
+      if (issue.type === 'string') return `${field}: is required`;
+      return `${field}: must be ${issue.inclusive ? 'at least' : 'greater than'} ${issue.minimum}, got ${valueAt(args, issue.path)}`;
+    case z.ZodIssueCode.too_big:
+      if (issue.type === 'string') return `${field}: must be at most ${issue.maximum} characters, got ${valueAt(args, issue.path).length}`;
+      return `${field}: must be ${issue.inclusive ? 'at most' : 'less than'} ${issue.maximum}, got ${valueAt(args, issue.path)}`;
+    case z.ZodIssueCode.invalid_union: {
+      // Report the problems of the alternative the value's type matches, else the types that are accepted
+      const matching = issue.unionErrors.find(error => !error.issues.some(inner => inner.code === z.ZodIssueCode.invalid_type && inner.path.length === issue.path.length));
+      if (matching) {
+        return matching.issues.map(inner => describeIssue(inner, args)).join('; ');
+      }
+      const expected = issue.unionErrors.map(error => error.issues[0].expected);
+      return `${field}: expected ${expected.join(' or ')}, got ${issue.unionErrors[0].issues[0].received}`;
+    }
+    default:
+      return field ? `${field}: ${issue.message}` : issue.message;
+  }
+}
+
+// Check arguments against a schema from createArgumentSchema and, if given, a `check` returning the problems
+// of rules that span several arguments. The check runs even when single arguments are invalid, so every
+// problem is reported at once; it must not trust argument types. Returns { args, problems }: the arguments
+// with null values left out, and the problems (empty when the arguments are valid).
+export function validateArguments(schema, args, check = null) {
+  const parsed = schema.safeParse(args);
+  const problems = [
+    ...(parsed.success ? [] : parsed.error.issues.map(issue => describeIssue(issue, args))),
+    ...(check ? check(args) : [])
+  ];
+  if (problems.length > 0) {
+    return { args, problems };
+  }
+  return { args: Object.fromEntries(Object.entries(parsed.data).filter(([, value]) => value !== null && value !== undefined)), problems: [] };
+}
+
+// A cross-argument check: exactly one of the fields must be given
+export function exactlyOneOf(fields) {
+  return args => {
+    const given = fields.filter(field => args[field] !== undefined && args[field] !== null && args[field] !== '');
+    if (given.length === 1) return [];
+    return [given.length === 0 ? `one of ${fields.join(', ')} is required` : `only one of ${fields.join(', ')} may be given, got ${given.join(', ')}`];
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Boolean search expressions
+ * Checks the search expressions Proxycurl's search endpoints take (quoted phrases, OR / ||, AND / &&, - for
+ * NOT, parentheses) before they are sent, so a malformed expression is reported instead of failing at the API
+ * or matching junk. Expressions are normalized to the OR / AND spelling, and lists of terms given as
+ * { any, all, none } are compiled into an expression.
+ */
+
+// Proxycurl rejects longer search expressions
+export const MAX_EXPRESSION_LENGTH = 255;
+
+// JSON Schema of the structured form of a search expression
+export const STRUCTURED_QUERY_SCHEMA = {
+  type: "object",
+  properties: {
+    all: { type: "array", items: { type: "string" }, description: "Terms or phrases that must all match." },
+    any: { type: "array", items: { type: "string" }, description: "Terms or phrases of which at least one must match." },
+    none: { type: "array", items: { type: "string" }, description: "Terms or phrases that must not match." }
+  }
+};
+
+const OPERATORS = { OR: 'OR', '||': 'OR', AND: 'AND', '&&': 'AND' };
+
+// Quotes escaped once or several times over (\" or \\\") by clients that double-encode JSON
+export function unescapeQuotes(expression) {
+  return expression.replace(/\\+"/g, '"');
+}
+
+// Split an expression into phrase, term, operator, NOT and parenthesis tokens, each with its 1-based position
+function tokenize(expression, problems) {
+  const tokens = [];
+  let index = 0;
+  while (index < expression.length) {
+    const char = expression[index];
+    const position = index + 1;
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '"') {
+      const end = expression.indexOf('"', index + 1);
+      if (end === -1) {
+        problems.push(`the quote at position ${position} is never closed`);
+        tokens.push({ type: 'phrase', value: expression.slice(index + 1).trim(), position });
+        break;
+      }
+      const phrase = expression.slice(index + 1, end).trim();
+      if (!phrase) {
+        problems.push(`the quotes at position ${position} are empty`);
+      }
+      tokens.push({ type: 'phrase', value: phrase, position });
+      index = end + 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index += 1;
+    } else if (expression.startsWith('||', index) || expression.startsWith('&&', index)) {
+      tokens.push({ type: 'operator', value: OPERATORS[expression.slice(index, index + 2)], position });
+      index += 2;
+    } else if (char === '-') {
+      // A '-' on its own would be sent as a literal term, so it is reported rather than read as NOT
+      if (/\s/.test(expression[index + 1] || ' ')) {
+        problems.push(`the '-' at position ${position} must be followed directly by a term or '('`);
+      }
+      tokens.push({ type: 'not', position });
+      index += 1;
+    } else {
+      const match = expression.slice(index).match(/^[^\s()"]+?(?=[\s()"]|\|\||&&|$)/);
+      const term = match ? match[0] : char;
+      tokens.push(OPERATORS[term] && /^[A-Z]+$/.test(term) ? { type: 'operator', value: term, position } : { type: 'term', value: term, position });
+      index += term.length;
+    }
+  }
+  return tokens;
+}
+
+const isOperand = token => token && (token.type === 'term' || token.type === 'phrase' || token.type === 'not' || token.type === '(');
+
+// Check that operators, NOT and parentheses have what they need around them
+function checkStructure(tokens, problems) {
+  const open = [];
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (token.type === '(') {
+      open.push(token);
+      if (next?.type === ')') problems.push(`the parentheses at position ${token.position} are empty`);
+    } else if (token.type === ')') {
+      if (open.length === 0) problems.push(`the ')' at position ${token.position} has no matching '('`);
+      open.pop();
+    } else if (token.type === 'operator') {
+      if (!previous || previous.type === '(' || previous.type === 'operator' || previous.type === 'not' || !isOperand(next)) {
+        problems.push(`${token.value} at position ${token.position} needs a term on both sides`);
+      }
+    } else if (token.type === 'not' && !isOperand(next)) {
+      problems.push(`the '-' at position ${token.position} must be followed by a term`);
+    }
+  });
+  for (const token of open) {
+    problems.push(`the '(' at position ${token.position} is never closed`);
+  }
+}
+
+function formatTokens(tokens) {
+  let expression = '';
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    if (previous && previous.type !== '(' && previous.type !== 'not' && token.type !== ')') {
+      expression += ' ';
+    }
+    switch (token.type) {
+      case 'phrase': expression += `"${token.value}"`; break;
+      case 'not': expression += '-'; break;
+      case 'term': case 'operator': expression += token.value; break;
+      default: expression += token.type;
+    }
+  });
+  return expression;
+}
+
+// Check a Boolean search expression. Returns { expression, problems }: the expression with escaped quotes
+// fixed, || and && spelled OR and AND and whitespace tidied, and the problems found (empty when it is valid).
+export function lintBooleanQuery(expression) {
+  const problems = [];
+  const tokens = tokenize(unescapeQuotes(expression).trim(), problems);
+  if (tokens.length === 0) {
+    return { expression: '', problems: ['the expression is empty'] };
+  }
+  checkStructure(tokens, problems);
+  const normalized = formatTokens(tokens);
+  if (normalized.length > MAX_EXPRESSION_LENGTH) {
+    problems.push(`the expression is ${normalized.length} characters long, Proxycurl accepts at most ${MAX_EXPRESSION_LENGTH}`);
+  }
+  return { expression: normalized, problems };
+}
+
+// A term of a structured query, quoted when it is a phrase or could be read as syntax
+function formatTerm(term, problems) {
+  const text = typeof term === 'string' ? term.trim() : '';
+  if (!text) {
+    problems.push('terms must not be empty');
+    return null;
+  }
+  if (text.includes('"')) {
+    problems.push(`the term '${text}' must not contain quotes`);
+    return null;
+  }
+  return /[\s()]|\|\||&&|^-/.test(text) || OPERATORS[text] ? `"${text}"` : text;
+}
+
+// Compile { all, any, none } lists of terms into a Boolean expression: every `all` term, at least one `any`
+// term and no `none` term. Returns { expression, problems } like lintBooleanQuery.
+export function compileBooleanQuery({ all = [], any = [], none = [] }) {
+  const problems = [];
+  const format = terms => (Array.isArray(terms) ? terms : []).map(term => formatTerm(term, problems)).filter(Boolean);
+  const required = format(all);
+  const alternatives = format(any);
+  const excluded = format(none);
+  if (alternatives.length > 0) {
+    required.push(alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' OR ')})`);
+  }
+  if (required.length === 0 && problems.length === 0) {
+    problems.push('at least one term is needed in all or any');
+  }
+  if (problems.length > 0) {
+    return { expression: null, problems };
+  }
+  return lintBooleanQuery([required.join(' AND '), ...excluded.map(term => `-${term}`)].join(' '));
+}
+
+// Check and normalize the search expression arguments of a tool call, given as strings or in the structured
+// form. Returns { args, problems } like argument validation: the arguments with the normalized expressions,
+// and the problems, each prefixed with its argument.
+export function normalizeSearchExpressions(args, fields = []) {
+  const normalized = { ...args };
+  const problems = [];
+  for (const field of fields) {
+    const value = normalized[field];
+    // Values of other types are left to argument validation to report
+    if (typeof value !== 'string' && !(value && typeof value === 'object' && !Array.isArray(value))) continue;
+    const result = typeof value === 'string' ? lintBooleanQuery(value) : compileBooleanQuery(value);
+    problems.push(...result.problems.map(problem => `${field}: ${problem}`));
+    normalized[field] = result.expression;
+  }
+  return { args: normalized, problems };
+}
@@ -0,0 +1,128 @@
+/**
+ * Circuit breaker for Proxycurl endpoints
+ * After repeated upstream failures on an endpoint (or once the account has run out of credits) further calls
+ * fail fast instead of each going through every retry and backoff. After a cooldown the circuit half-opens:
+ * one trial request is let through, and its outcome closes or re-opens the circuit.
+ */
+
+// Credit exhaustion affects every endpoint, so it is tracked under this account-wide key.
+// Checking the credit balance is free and stays available while it is open.
+export const ACCOUNT_CIRCUIT = 'account';
+
+// Circuits a request to the endpoint must pass
+function circuitKeys(endpoint) {
+  return endpoint === 'credit_balance' ? [endpoint] : [ACCOUNT_CIRCUIT, endpoint];
+}
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownSeconds = 30, log = () => {} } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownSeconds * 1000;
+    this.log = log;
+    // key -> { state: 'closed' | 'open' | 'half_open', failures, reason, last_error, opened_at, trial_started_at }
+    this.circuits = new Map();
+  }
+
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, { state: 'closed', failures: 0, reason: null, last_error: null, opened_at: null, trial_started_at: null });
+    }
+    return this.circuits.get(key);
+  }
+
+  // Returns null when a request to the endpoint may go ahead, otherwise a description of the open circuit:
+  // { endpoint, reason: 'failures' | 'credits', failures, last_error, retry_in_seconds }
+  check(endpoint) {
+    const keys = circuitKeys(endpoint);
+    for (const key of keys) {
+      const rejection = this.checkCircuit(key);
+      if (rejection) {
+        return { endpoint, ...rejection };
+      }
+    }
+    return null;
+  }
+
+  checkCircuit(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.state === 'closed') {
+      return null;
+    }
+
+    const now = Date.now();
+    const reopensAt = (circuit.state === 'open' ? circuit.opened_at : circuit.trial_started_at) + this.cooldownMs;
+    if (now < reopensAt) {
+      return {
+        reason: circuit.reason,
+        failures: circuit.failures,
+        last_error: circuit.last_error,
+        retry_in_seconds: Math.ceil((reopensAt - now) / 1000)
+      };
+    }
+
+    // Cooldown over (or a previous trial never reported back): let one trial request through
+    circuit.state = 'half_open';
+    circuit.trial_started_at = now;
+    this.log('info', `Circuit ${key} half-open, sending a trial request`);
+    return null;
+  }
+
+  // The endpoint answered normally (a client error such as 404 still proves it is up)
+  recordSuccess(endpoint) {
+    const keys = circuitKeys(endpoint);
+    for (const key of keys) {
+      const circuit = this.circuits.get(key);
+      if (circuit && (circuit.state !== 'closed' || circuit.failures > 0)) {
+        if (circuit.state !== 'closed') {
+          this.log('info', `Circuit ${key} closed`);
+        }
+        this.circuits.delete(key);
+      }
+    }
+  }
+
+  // An upstream failure (5xx, 429, network error). Opens the circuit once the threshold is reached, or
+  // straight away when a half-open trial fails.
+  recordFailure(endpoint, lastError) {
+    const circuit = this.getCircuit(endpoint);
+    circuit.failures += 1;
+    circuit.last_error = lastError;
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      this.open(endpoint, circuit, 'failures');
+    }
+  }
+
+  // The account is confirmed to be out of credits: stop every paid endpoint at once
+  recordCreditExhaustion(lastError) {
+    const circuit = this.getCircuit(ACCOUNT_CIRCUIT);
+    circuit.failures += 1;
+    circuit.last_error = lastError;
+    this.open(ACCOUNT_CIRCUIT, circuit, 'credits');
+  }
+
+  open(key, circuit, reason) {
+    if (circuit.state !== 'open') {
+      this.log('warn', `Circuit ${key} open after ${circuit.failures} failure(s) (${circuit.last_error || 'unknown error'}); failing fast for ${this.cooldownMs / 1000}s`);
+    }
+    circuit.state = 'open';
+    circuit.reason = reason;
+    circuit.opened_at = Date.now();
+    circuit.trial_started_at = null;
+  }
+
+  isOpen(endpoint) {
+    const keys = circuitKeys(endpoint);
+    return keys.some(key => this.circuits.get(key)?.state === 'open');
+  }
+
+  // Circuits that are not closed, for health checks
+  getStatus() {
+    const status = {};
+    for (const [key, circuit] of this.circuits) {
+      if (circuit.state !== 'closed') {
+        status[key] = { state: circuit.state, reason: circuit.reason, failures: circuit.failures, last_error: circuit.last_error };
+      }
+    }
+    return status;
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Network configuration
+ * Resolves the API base URL, timeouts, HTTP(S) proxy and CA bundle from command line flags, environment
+ * variables and an optional JSON config file (in that order of precedence), and builds the axios options
+ * that apply them to every request.
+ */
+
+import http from "http";
+import https from "https";
+import tls from "tls";
+import { readFile } from "fs/promises";
+import { HttpsProxyAgent } from "https-proxy-agent";
+
+export const DEFAULT_NETWORK_CONFIG = {
+  base_url: 'https://nubela.co/proxycurl/api',
+  request_timeout: 90,
+  connect_timeout: 10,
+  proxy: null,
+  proxy_username: null,
+  proxy_password: null,
+  ca_bundle: null
+};
+
+// Config file key, command line flag and environment variable for each setting.
+// The proxy password has no flag so it never shows up in process listings.
+export const NETWORK_SETTINGS = [
+  { key: 'base_url', flag: '--base-url', env: 'PROXYCURL_API_BASE' },
+  { key: 'request_timeout', flag: '--request-timeout', env: 'PROXYCURL_REQUEST_TIMEOUT', numeric: true },
+  { key: 'connect_timeout', flag: '--connect-timeout', env: 'PROXYCURL_CONNECT_TIMEOUT', numeric: true },
+  { key: 'proxy', flag: '--proxy', env: 'PROXYCURL_PROXY' },
+  { key: 'proxy_username', flag: '--proxy-username', env: 'PROXYCURL_PROXY_USERNAME' },
+  { key: 'proxy_password', flag: null, env: 'PROXYCURL_PROXY_PASSWORD' },
+  { key: 'ca_bundle', flag: '--ca-bundle', env: 'PROXYCURL_CA_BUNDLE' }
+];
+
+// Read a JSON config file. A missing file is only an error when it was asked for explicitly.
+export async function loadConfigFile(file, { required = false } = {}) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return {};
+    }
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return config;
+}
+
+// Proxy from the conventional HTTPS_PROXY / HTTP_PROXY variables, unless NO_PROXY excludes the API host
+export function getEnvironmentProxy(baseUrl, env = process.env) {
+  const { protocol, hostname } = new URL(baseUrl);
+  const proxy = protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  if (!proxy) {
+    return null;
+  }
+
+  const noProxy = (env.NO_PROXY || env.no_proxy || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  const host = hostname.toLowerCase();
+  const excluded = noProxy.some(entry => entry === '*' || host === entry.replace(/^\./, '') || host.endsWith(entry.startsWith('.') ? entry : `.${entry}`));
+  return excluded ? null : proxy;
+}
+
+// Hide proxy credentials when logging
+export function redactProxyUrl(proxyUrl) {
+  const url = new URL(proxyUrl);
+  if (url.username || url.password) {
+    url.username = '***';
+    url.password = '';
+  }
+  return url.toString().replace(/\/$/, '');
+}
+
+// Merge flags, environment variables and config file values into a validated network config.
+// Throws an Error describing the first invalid setting.
+export function resolveNetworkConfig({ getFlag = () => null, env = process.env, file = {} } = {}) {
+  const config = { ...DEFAULT_NETWORK_CONFIG };
+
+  for (const { key, flag, env: envVar, numeric } of NETWORK_SETTINGS) {
+    const raw = (flag && getFlag(flag)) ?? env[envVar] ?? file[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    if (numeric) {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid value '${raw}' for ${key} (${[flag, envVar].filter(Boolean).join(' / ')}): expected a number of seconds > 0`);
+      }
+      config[key] = value;
+    } else {
+      config[key] = String(raw);
+    }
+  }
+
+  config.base_url = config.base_url.replace(/\/+$/, '');
+  try {
+    new URL(config.base_url);
+  } catch (error) {
+    throw new Error(`Invalid Proxycurl API base URL '${config.base_url}'`);
+  }
+
+  if (!config.proxy) {
+    config.proxy = getEnvironmentProxy(config.base_url, env);
+  }
+  if (config.proxy) {
+    let proxyUrl;
+    try {
+      proxyUrl = new URL(config.proxy);
+    } catch (error) {
+      throw new Error(`Invalid proxy URL '${config.proxy}'`);
+    }
+    if (!['http:', 'https:'].includes(proxyUrl.protocol)) {
+      throw new Error(`Unsupported proxy protocol '${proxyUrl.protocol}'. Use an http:// or https:// proxy URL`);
+    }
+    // Separate credentials take precedence over any embedded in the proxy URL
+    if (config.proxy_username) {
+      proxyUrl.username = encodeURIComponent(config.proxy_username);
+      proxyUrl.password = encodeURIComponent(config.proxy_password || '');
+    }
+    config.proxy = proxyUrl.toString();
+  }
+
+  return config;
+}
+
+// Node agents have no connect timeout of their own: destroy the socket if it is not connected in time
+function applyConnectTimeout(agent, timeoutMs) {
+  const timeoutError = target => Object.assign(new Error(`Connection to ${target} timed out after ${timeoutMs}ms`), { code: 'ETIMEDOUT' });
+
+  if (agent instanceof HttpsProxyAgent) {
+    // The proxy agent resolves once the CONNECT tunnel (and TLS) is established
+    const connect = agent.connect.bind(agent);
+    agent.connect = (req, options) => new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        reject(timeoutError(`${options.host} via proxy`));
+      }, timeoutMs);
+      connect(req, options).then(socket => {
+        clearTimeout(timer);
+        if (timedOut) {
+          socket.destroy();
+        } else {
+          resolve(socket);
+        }
+      }, error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+    return agent;
+  }
+
+  const createConnection = agent.createConnection;
+  agent.createConnection = function (options, ...rest) {
+    const socket = createConnection.call(this, options, ...rest);
+    const timer = setTimeout(() => socket.destroy(timeoutError(`${options.host}:${options.port}`)), timeoutMs);
+    socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+  return agent;
+}
+
+// Build the axios options (timeout, agents) that apply a network config to every request
+export async function createHttpOptions(config) {
+  const agentOptions = { keepAlive: true };
+  if (config.ca_bundle) {
+    let bundle;
+    try {
+      bundle = await readFile(config.ca_bundle, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read CA bundle ${config.ca_bundle}: ${error.message}`);
+    }
+    // Extend the default trust store rather than replacing it
+    agentOptions.ca = [...tls.rootCertificates, bundle];
+  }
+
+  const connectTimeoutMs = config.connect_timeout * 1000;
+  let httpAgent;
+  let httpsAgent;
+  if (config.proxy) {
+    httpAgent = httpsAgent = applyConnectTimeout(new HttpsProxyAgent(config.proxy, agentOptions), connectTimeoutMs);
+  } else {
+    httpAgent = applyConnectTimeout(new http.Agent({ keepAlive: true }), connectTimeoutMs);
+    httpsAgent = applyConnectTimeout(new https.Agent(agentOptions), connectTimeoutMs);
+  }
+
+  return {
+    timeout: config.request_timeout * 1000,
+    httpAgent,
+    httpsAgent,
+    // The agents handle proxying; stop axios from applying HTTP(S)_PROXY on top of them
+    proxy: false
+  };
+}
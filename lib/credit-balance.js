@@ -0,0 +1,78 @@
+/**
+ * Credit balance tracking
+ * Keeps a running estimate of the Proxycurl credit balance between refreshes from the /credit-balance endpoint,
+ * so tool results can report how many credits are left without an extra request per call.
+ */
+
+export class CreditBalanceTracker {
+  constructor({ fetchBalance, refreshIntervalMs, lowBalanceThreshold, log = () => {} }) {
+    this.fetchBalance = fetchBalance;
+    this.refreshIntervalMs = refreshIntervalMs;
+    this.lowBalanceThreshold = lowBalanceThreshold;
+    this.log = log;
+    this.balance = null;
+    this.fetchedAt = null;
+    this.lastAttemptAt = null;
+    this.spentSinceFetch = 0;
+  }
+
+  // Fetch the balance from Proxycurl now. Returns the balance, or throws if the request fails.
+  // Credits spent while the request is in flight stay booked, as the fetched balance may not include them yet.
+  async refresh() {
+    this.lastAttemptAt = Date.now();
+    const spentBefore = this.spentSinceFetch;
+    const balance = await this.fetchBalance();
+    this.balance = balance;
+    this.fetchedAt = Date.now();
+    this.spentSinceFetch = Math.max(this.spentSinceFetch - spentBefore, 0);
+    return balance;
+  }
+
+  // Start a refresh in the background when the last attempt is older than the refresh interval, and return
+  // without waiting for it. Failures are logged, never thrown: balance tracking is a hint and must not slow
+  // down or break tool calls.
+  refreshIfStale() {
+    if (!this.refreshIntervalMs) return;
+    if (this.lastAttemptAt && Date.now() - this.lastAttemptAt < this.refreshIntervalMs) return;
+
+    this.refresh().then(
+      () => this.log('info', `Refreshed credit balance: ${this.balance} credits`),
+      error => this.log('error', `Could not refresh credit balance: ${error.message}`)
+    );
+  }
+
+  // Book credits spent since the last refresh
+  recordSpend(credits) {
+    if (credits > 0) {
+      this.spentSinceFetch += credits;
+    }
+  }
+
+  // Best current estimate of the remaining credits, or null if the balance was never fetched
+  getRemaining() {
+    return this.balance === null ? null : Math.max(this.balance - this.spentSinceFetch, 0);
+  }
+
+  isLow() {
+    const remaining = this.getRemaining();
+    return remaining !== null && remaining < this.lowBalanceThreshold;
+  }
+
+  // Hint included in tool results, or null when nothing is known yet
+  getHint() {
+    const remaining = this.getRemaining();
+    if (remaining === null) return null;
+
+    return {
+      credits_remaining: remaining,
+      as_of: new Date(this.fetchedAt).toISOString(),
+      estimated: this.spentSinceFetch > 0
+    };
+  }
+
+  // Warning for the model when the balance is running low, or null
+  getWarning() {
+    if (!this.isLow()) return null;
+    return `Proxycurl credit balance is low: about ${this.getRemaining()} credits remaining (warning threshold: ${this.lowBalanceThreshold}). Avoid expensive searches and large page sizes, and ask the user before spending more credits. Credits can be added at https://nubela.co/proxycurl/`;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Credit budget guard
+ * Tracks credits spent in this server session and per (UTC) day, and refuses calls that would exceed the configured limits.
+ * The daily ledger is persisted to disk so restarts of the server do not reset the daily spend.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+
+// How many days of history to keep in the ledger file
+const LEDGER_RETENTION_DAYS = 31;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export class CreditBudget {
+  constructor({ maxPerSession = null, maxPerDay = null, ledgerFile, log = () => {} }) {
+    this.maxPerSession = maxPerSession;
+    this.maxPerDay = maxPerDay;
+    this.ledgerFile = ledgerFile;
+    this.log = log;
+    this.sessionSpent = 0;
+    this.days = {};
+    // Credits reserved by calls that are still running, so concurrent calls cannot overshoot together
+    this.reserved = 0;
+  }
+
+  // Load the persisted daily ledger. A missing file simply means nothing has been spent yet.
+  async load() {
+    try {
+      const ledger = JSON.parse(await readFile(this.ledgerFile, 'utf8'));
+      this.days = ledger.days || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log('error', `Could not read credit ledger ${this.ledgerFile}, starting from zero: ${error.message}`);
+      }
+      this.days = {};
+    }
+  }
+
+  getDaySpent() {
+    return this.days[today()] || 0;
+  }
+
+  // Remaining credits for each configured limit (null when that limit is not set)
+  getRemaining() {
+    return {
+      session: this.maxPerSession === null ? null : Math.max(this.maxPerSession - this.sessionSpent - this.reserved, 0),
+      day: this.maxPerDay === null ? null : Math.max(this.maxPerDay - this.getDaySpent() - this.reserved, 0)
+    };
+  }
+
+  getStatus() {
+    return {
+      session_spent: this.sessionSpent,
+      day_spent: this.getDaySpent(),
+      max_per_session: this.maxPerSession,
+      max_per_day: this.maxPerDay,
+      remaining: this.getRemaining()
+    };
+  }
+
+  // Check whether a call estimated to cost `credits` fits the budget, without reserving anything.
+  // Returns null when it fits, otherwise a message explaining which limit would be exceeded.
+  check(credits) {
+    const remaining = this.getRemaining();
+    if (remaining.session !== null && credits > remaining.session) {
+      return `This call is estimated to cost up to ${credits} credits, but only ${remaining.session} of the ${this.maxPerSession} credit per-session budget remain.`;
+    }
+    if (remaining.day !== null && credits > remaining.day) {
+      return `This call is estimated to cost up to ${credits} credits, but only ${remaining.day} of the ${this.maxPerDay} credit daily budget remain (resets at 00:00 UTC).`;
+    }
+    return null;
+  }
+
+  // Reserve the estimated cost of a call. Returns { reservation } or { error } when the budget would be exceeded.
+  reserve(credits) {
+    const error = this.check(credits);
+    if (error) {
+      return { error };
+    }
+    this.reserved += credits;
+    return { reservation: { credits } };
+  }
+
+  // Release a reservation and book what the call actually spent
+  async settle(reservation, spent) {
+    this.reserved = Math.max(this.reserved - reservation.credits, 0);
+    if (spent <= 0) {
+      return;
+    }
+
+    this.sessionSpent += spent;
+    const day = today();
+    this.days[day] = (this.days[day] || 0) + spent;
+    await this.save();
+  }
+
+  async save() {
+    // Drop days that fall outside the retention window
+    const cutoff = new Date(Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const day of Object.keys(this.days)) {
+      if (day < cutoff) {
+        delete this.days[day];
+      }
+    }
+
+    try {
+      await mkdir(dirname(this.ledgerFile), { recursive: true });
+      const tempFile = `${this.ledgerFile}.${process.pid}.tmp`;
+      await writeFile(tempFile, JSON.stringify({ days: this.days }, null, 2));
+      await rename(tempFile, this.ledgerFile);
+    } catch (error) {
+      this.log('error', `Failed to write credit ledger ${this.ledgerFile}: ${error.message}`);
+    }
+  }
+}
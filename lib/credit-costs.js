@@ -0,0 +1,116 @@
+/**
+ * Credit cost estimates for Proxycurl requests
+ * Based on the costs documented at https://nubela.co/proxycurl/docs. Estimates are upper bounds:
+ * search endpoints are priced as if every requested result is returned, and optional enrichments
+ * as if the data is available.
+ */
+
+import { normalizeRequest } from "./endpoints.js";
+
+// Optional person profile enrichments that cost 1 extra credit when set to 'include'
+const PERSON_PROFILE_EXTRAS = [
+  'extra', 'github_profile_id', 'facebook_profile_id', 'twitter_profile_id',
+  'personal_contact_number', 'personal_email', 'inferred_salary', 'skills'
+];
+
+// Optional company profile enrichments that cost 1 extra credit when set to 'include'
+const COMPANY_PROFILE_EXTRAS = ['categories', 'funding_data', 'exit_data', 'acquisitions', 'extra'];
+
+// Proxycurl's own page_size defaults, used when a request does not set one
+const DEFAULT_PAGE_SIZES = {
+  employee_listing: 10,
+  person_search: 100,
+  company_search: 100
+};
+
+function addExtras(breakdown, params, extras) {
+  for (const extra of extras) {
+    if (params[extra] === 'include') {
+      breakdown.push({ item: extra, credits: 1 });
+    }
+  }
+}
+
+// Estimate the maximum credit cost of one request. Returns { endpoint, credits, breakdown: [{ item, credits }] }.
+export function estimateRequestCost(url, params = {}) {
+  const { endpoint, params: normalized } = normalizeRequest(url, params);
+  const breakdown = [];
+  const pageSize = Number(normalized.page_size) || DEFAULT_PAGE_SIZES[endpoint] || 0;
+  const enrich = normalized.enrich_profiles === 'enrich';
+
+  switch (endpoint) {
+    case 'person_profile':
+      breakdown.push({ item: 'person profile', credits: 1 });
+      addExtras(breakdown, normalized, PERSON_PROFILE_EXTRAS);
+      break;
+
+    case 'company_profile':
+      breakdown.push({ item: 'company profile', credits: 1 });
+      addExtras(breakdown, normalized, COMPANY_PROFILE_EXTRAS);
+      break;
+
+    case 'person_lookup':
+      breakdown.push({ item: 'person lookup', credits: 2 });
+      if (normalized.enrich_profile === 'enrich') {
+        breakdown.push({ item: 'enrich_profile', credits: 1 });
+      }
+      break;
+
+    case 'employee_listing':
+      breakdown.push({ item: `${pageSize} employees x 3 credits`, credits: 3 * pageSize });
+      if (normalized.role_search) {
+        breakdown.push({ item: 'role_search base cost', credits: 10 });
+      }
+      if (normalized.country) {
+        breakdown.push({ item: `country filter (${pageSize} x 3 credits)`, credits: 3 * pageSize });
+      }
+      if (enrich) {
+        breakdown.push({ item: `enrich_profiles (${pageSize} x 1 credit)`, credits: pageSize });
+      }
+      if (normalized.sort_by && normalized.sort_by !== 'none') {
+        breakdown.push({ item: 'sort_by base cost', credits: 50 });
+        breakdown.push({ item: `sort_by (${pageSize} x 10 credits)`, credits: 10 * pageSize });
+      }
+      if (normalized.resolve_numeric_id === 'true') {
+        breakdown.push({ item: 'resolve_numeric_id', credits: 2 });
+      }
+      break;
+
+    case 'person_search':
+    case 'company_search':
+      breakdown.push({ item: `${pageSize} results x 3 credits`, credits: 3 * pageSize });
+      if (enrich) {
+        breakdown.push({ item: `enrich_profiles (${pageSize} x 1 credit)`, credits: pageSize });
+      }
+      break;
+
+    default:
+      // credit_balance and anything unknown are free as far as we know
+      break;
+  }
+
+  return {
+    endpoint,
+    credits: breakdown.reduce((total, entry) => total + entry.credits, 0),
+    breakdown
+  };
+}
+
+// Estimate the maximum cost of following next_page links until maxResults results are collected.
+// Every page is priced like the first one. Returns { endpoint, credits, pages, pageSize, breakdown }.
+export function estimatePaginatedCost(url, params, maxResults) {
+  const page = estimateRequestCost(url, params);
+  const { params: normalized } = normalizeRequest(url, params);
+  const pageSize = Number(normalized.page_size) || DEFAULT_PAGE_SIZES[page.endpoint] || 1;
+  const pages = Math.max(1, Math.ceil(maxResults / pageSize));
+  return {
+    endpoint: page.endpoint,
+    credits: page.credits * pages,
+    pages,
+    pageSize,
+    breakdown: page.breakdown.map(({ item, credits }) => ({
+      item: pages > 1 ? `${item}, ${pages} pages` : item,
+      credits: credits * pages
+    }))
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Pagination cursor store
+ * Maps opaque cursor tokens to Proxycurl next_page URLs so any earlier search can be continued, by any
+ * session, without callers sharing a single "next page" slot. Entries expire and the store is bounded;
+ * optionally it is persisted to disk so cursors survive a restart.
+ */
+
+import { randomBytes } from "crypto";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+
+export class CursorStore {
+  constructor({ ttlSeconds = 60 * 60, maxEntries = 1000, file = null, log = () => {} } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.file = file;
+    this.log = log;
+    // token -> { scope, tool, url, page, created_at, expires_at }; insertion order doubles as age order
+    this.entries = new Map();
+    // `${scope}\u0000${tool}` -> most recent token, used by the deprecated get_next_page flag
+    this.latest = new Map();
+    this.saveQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.file) return;
+    try {
+      const stored = JSON.parse(await readFile(this.file, 'utf8'));
+      this.entries = new Map(Object.entries(stored.entries || {}));
+      this.latest = new Map(Object.entries(stored.latest || {}));
+      this.prune();
+      this.log('info', `Loaded ${this.entries.size} pagination cursors from ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log('warn', `Ignoring unreadable cursor file ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  // Store a next_page URL and return the token that refers to it (once it is persisted, if a file is used)
+  async create(scope, { tool, url, page = 2 }) {
+    this.prune();
+    const token = `cur_${randomBytes(12).toString('base64url')}`;
+    const now = Date.now();
+    this.entries.set(token, { scope, tool, url, page, created_at: now, expires_at: now + this.ttlMs });
+    this.latest.set(`${scope}\u0000${tool}`, token);
+
+    // Drop the oldest cursors beyond the bound
+    while (this.entries.size > this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+    }
+    await this.save();
+    return token;
+  }
+
+  // Returns the entry for a token, or null if it is unknown or expired
+  get(token) {
+    const entry = this.entries.get(token);
+    if (!entry) return null;
+    if (entry.expires_at <= Date.now()) {
+      this.delete(token);
+      this.save();
+      return null;
+    }
+    return entry;
+  }
+
+  // Most recent cursor a session received for a tool
+  getLatest(scope, tool) {
+    const token = this.latest.get(`${scope}\u0000${tool}`);
+    const entry = token ? this.get(token) : null;
+    return entry ? { token, entry } : null;
+  }
+
+  delete(token) {
+    const entry = this.entries.get(token);
+    if (!entry) return false;
+    this.entries.delete(token);
+    const latestKey = `${entry.scope}\u0000${entry.tool}`;
+    if (this.latest.get(latestKey) === token) {
+      this.latest.delete(latestKey);
+    }
+    return true;
+  }
+
+  // Remove one cursor, or every cursor created in a scope. Returns the number removed.
+  async clear(scope, token = null) {
+    let removed = 0;
+    if (token) {
+      removed = this.delete(token) ? 1 : 0;
+    } else {
+      for (const [candidate, entry] of [...this.entries]) {
+        if (entry.scope === scope && this.delete(candidate)) {
+          removed += 1;
+        }
+      }
+    }
+    await this.save();
+    return removed;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of [...this.entries]) {
+      if (entry.expires_at <= now) {
+        this.delete(token);
+      }
+    }
+  }
+
+  // Persist asynchronously; writes are chained so they never interleave. A failing write is only logged.
+  save() {
+    if (!this.file) return this.saveQueue;
+    this.saveQueue = this.saveQueue.then(async () => {
+      await mkdir(dirname(this.file), { recursive: true });
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await writeFile(tempFile, JSON.stringify({
+        entries: Object.fromEntries(this.entries),
+        latest: Object.fromEntries(this.latest)
+      }));
+      await rename(tempFile, this.file);
+    }).catch(error => this.log('error', `Failed to save cursors to ${this.file}: ${error.message}`));
+    return this.saveQueue;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Proxycurl endpoint catalogue
+ * Maps API paths to the short endpoint names used for caching and per-endpoint configuration
+ */
+
+import { createHash } from "crypto";
+
+// Short endpoint names and the API paths they correspond to (relative to the API base URL)
+export const ENDPOINTS = {
+  person_profile: '/v2/linkedin',
+  company_profile: '/linkedin/company',
+  person_lookup: '/linkedin/profile/resolve',
+  employee_listing: '/linkedin/company/employees',
+  person_search: '/v2/search/person',
+  company_search: '/v2/search/company',
+  credit_balance: '/credit-balance'
+};
+
+// Resolve the endpoint name for a request URL or path, or 'unknown' if it is not a Proxycurl endpoint we know
+export function getEndpointName(urlOrPath) {
+  const pathname = urlOrPath.startsWith('http') ? new URL(urlOrPath).pathname : urlOrPath;
+  const trimmed = pathname.replace(/\/+$/, '');
+  for (const [name, path] of Object.entries(ENDPOINTS)) {
+    if (trimmed.endsWith(path)) {
+      return name;
+    }
+  }
+  return 'unknown';
+}
+
+// Normalize a request into its endpoint name and a stable, sorted set of string parameters.
+// Query parameters already present in the URL (e.g. next_page links) are merged with the params object.
+export function normalizeRequest(url, params = {}) {
+  const parsed = new URL(url);
+  const merged = {};
+
+  for (const [key, value] of parsed.searchParams) {
+    merged[key] = value;
+  }
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    merged[key] = String(value);
+  }
+
+  const sortedParams = {};
+  for (const key of Object.keys(merged).sort()) {
+    sortedParams[key] = merged[key];
+  }
+
+  return {
+    endpoint: getEndpointName(parsed.pathname),
+    path: parsed.pathname,
+    params: sortedParams
+  };
+}
+
+// Stable hash of a normalized request, used to name cache entries and fixture files. `scope` (e.g. the API
+// URL) keeps otherwise equal requests apart.
+export function getRequestHash(request, scope = null) {
+  return createHash('sha256')
+    .update(JSON.stringify(scope === null ? [request.endpoint, request.params] : [scope, request.endpoint, request.params]))
+    .digest('hex');
+}
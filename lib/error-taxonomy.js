@@ -0,0 +1,80 @@
+/**
+ * Proxycurl error taxonomy
+ * Classifies failed Proxycurl requests into a small set of types so callers can tell an empty account from a
+ * bad API key, a typo in a URL from an outage, and so on. The classification and its error code are returned
+ * with the failed tool result.
+ */
+
+export const ERROR_TYPES = ['auth', 'credits', 'rate_limit', 'not_found', 'invalid_input', 'upstream'];
+
+// JSON-RPC error code of each type: InvalidParams for invalid input, and codes from the range JSON-RPC leaves
+// to servers (-32000 to -32099) for the rest. -32000 and -32001 are taken by the MCP SDK.
+export const ERROR_CODES = {
+  invalid_input: -32602,
+  auth: -32010,
+  credits: -32011,
+  rate_limit: -32012,
+  not_found: -32013,
+  upstream: -32014,
+  budget: -32015, // The server's own credit budget, not Proxycurl's balance
+  cache_miss: -32016 // cache_mode 'only_cache' without a fresh cached response
+};
+
+// What the caller can do about each type of error
+const HINTS = {
+  auth: 'Check that the Proxycurl API key is valid and that its plan includes this endpoint (test_api_key verifies the key).',
+  credits_confirmed: 'The Proxycurl account does not have enough credits for this request. Credits can be added at https://nubela.co/proxycurl/.',
+  credits_unconfirmed: 'Proxycurl reported insufficient credits, but the balance could not confirm it; this is usually temporary and retrying later may succeed.',
+  rate_limit: 'Proxycurl is rate limiting requests; wait a little before trying again.',
+  not_found: 'Proxycurl has no data for this input; check the URL or the identifying details.',
+  invalid_input: 'Proxycurl rejected the request parameters; fix the input rather than retrying.',
+  upstream: 'Proxycurl or the network failed; retrying later may succeed.'
+};
+
+// A 403 whose description says the account is short of credits
+export function isInsufficientCreditsError(error) {
+  return error.response?.status === 403 && Boolean(error.response.data?.description?.includes('Not enough credits'));
+}
+
+// Classify a failed Proxycurl request (an axios error). For a credits 403, pass the balance looked up after the
+// error and the credits the request needs: only a balance below that confirms the account is out of credits.
+// Returns { type, retryable, http_status, upstream_message, hint, message, ...details }.
+export function classifyProxycurlError(error, { creditBalance = null, requiredCredits = null } = {}) {
+  const status = error.response?.status ?? null;
+  const data = error.response?.data;
+  const upstreamMessage = (data && (data.description || data.detail || data.message)) || error.message;
+
+  let classification;
+  if (!error.response) {
+    const timedOut = ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code);
+    classification = { type: 'upstream', retryable: true, hint: HINTS.upstream, reason: timedOut ? 'timeout' : 'network' };
+  } else if (isInsufficientCreditsError(error)) {
+    const confirmed = creditBalance !== null && requiredCredits !== null && creditBalance < requiredCredits;
+    classification = {
+      type: 'credits',
+      retryable: !confirmed,
+      confirmed,
+      hint: confirmed ? HINTS.credits_confirmed : HINTS.credits_unconfirmed,
+      credit_balance: creditBalance,
+      required_credits: requiredCredits
+    };
+  } else if (status === 401 || status === 403) {
+    classification = { type: 'auth', retryable: false, hint: HINTS.auth };
+  } else if (status === 404) {
+    classification = { type: 'not_found', retryable: false, hint: HINTS.not_found };
+  } else if (status === 429) {
+    classification = { type: 'rate_limit', retryable: true, hint: HINTS.rate_limit };
+  } else if (status >= 500) {
+    classification = { type: 'upstream', retryable: true, hint: HINTS.upstream };
+  } else {
+    classification = { type: 'invalid_input', retryable: false, hint: HINTS.invalid_input };
+  }
+
+  const summary = status ? `${upstreamMessage} (HTTP ${status}, ${classification.type} error)` : `No response from server: ${upstreamMessage} (${classification.type} error)`;
+  return {
+    ...classification,
+    http_status: status,
+    upstream_message: upstreamMessage,
+    message: `${summary}. ${classification.hint}`
+  };
+}
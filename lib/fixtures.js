@@ -0,0 +1,117 @@
+/**
+ * Recorded request/response fixtures
+ * In record mode every Proxycurl response is saved to a fixture file; in replay mode responses are served
+ * from those files through a custom axios adapter, without any network access.
+ */
+
+import { AxiosError, AxiosHeaders } from "axios";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { join } from "path";
+import { getRequestHash, normalizeRequest } from "./endpoints.js";
+
+// Response headers worth keeping in fixtures (credit cost, rate limit information, content type)
+function pickHeaders(headers = {}) {
+  const picked = {};
+  for (const [name, value] of Object.entries(headers.toJSON ? headers.toJSON() : headers)) {
+    const lowerName = name.toLowerCase();
+    if (lowerName.startsWith('x-') || lowerName.startsWith('ratelimit') || ['content-type', 'retry-after'].includes(lowerName)) {
+      picked[lowerName] = value;
+    }
+  }
+  return picked;
+}
+
+export class FixtureStore {
+  constructor({ dir, log = () => {} }) {
+    this.dir = dir;
+    this.log = log;
+  }
+
+  // Fixtures are keyed by endpoint + normalized params, so they do not depend on the API base URL
+  getFixturePath(url, params) {
+    const request = normalizeRequest(url, params);
+    return { request, file: join(this.dir, request.endpoint, `${getRequestHash(request)}.json`) };
+  }
+
+  // Save a response (successful or not) for the request described by an axios config
+  async record(config, response) {
+    const { request, file } = this.getFixturePath(config.url, config.params);
+    const fixture = {
+      request,
+      response: {
+        status: response.status,
+        headers: pickHeaders(response.headers),
+        data: response.data
+      },
+      recorded_at: new Date().toISOString()
+    };
+
+    try {
+      await mkdir(join(this.dir, request.endpoint), { recursive: true });
+      const tempFile = `${file}.${process.pid}.tmp`;
+      // Pretty-printed so fixtures are easy to review and diff
+      await writeFile(tempFile, `${JSON.stringify(fixture, null, 2)}\n`);
+      await rename(tempFile, file);
+      this.log('info', `Recorded fixture ${file}`);
+    } catch (error) {
+      this.log('error', `Failed to record fixture ${file}: ${error.message}`);
+    }
+  }
+
+  async load(url, params) {
+    const { request, file } = this.getFixturePath(url, params);
+    try {
+      return { request, file, fixture: JSON.parse(await readFile(file, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { request, file, fixture: null };
+      }
+      throw error;
+    }
+  }
+
+  // Attach response interceptors that record every response the axios instance receives
+  attachRecorder(axiosInstance) {
+    axiosInstance.interceptors.response.use(async (response) => {
+      await this.record(response.config, response);
+      return response;
+    }, async (error) => {
+      if (error.response) {
+        await this.record(error.config, error.response);
+      }
+      return Promise.reject(error);
+    });
+  }
+
+  // axios adapter that serves recorded fixtures. Unmatched requests fail with ERR_FIXTURE_NOT_FOUND.
+  createReplayAdapter() {
+    return async (config) => {
+      const { request, file, fixture } = await this.load(config.url, config.params);
+      if (!fixture) {
+        const description = `${request.endpoint} ${JSON.stringify(request.params)}`;
+        this.log('error', `REPLAY: no fixture recorded for ${description} (expected ${file})`);
+        throw new AxiosError(`No recorded fixture for ${description} in ${this.dir}. Replay mode never calls the Proxycurl API; record this request first with --record.`, 'ERR_FIXTURE_NOT_FOUND', config);
+      }
+
+      const response = {
+        data: fixture.response.data,
+        status: fixture.response.status,
+        statusText: '',
+        headers: new AxiosHeaders(fixture.response.headers),
+        config,
+        request: { replayed: true }
+      };
+
+      if (config.validateStatus && !config.validateStatus(response.status)) {
+        throw new AxiosError(
+          `Request failed with status code ${response.status}`,
+          response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+          config,
+          response.request,
+          response
+        );
+      }
+      return response;
+    };
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Streamable HTTP / SSE transport
+ * Hosts the MCP server over HTTP so a team can share one instance. Every client session gets its own MCP
+ * Server (from createServer) and transport; the Proxycurl client, cache and budgets behind them are shared.
+ *
+ * Endpoints:
+ *   POST|GET|DELETE /mcp                    Streamable HTTP transport
+ *   GET /sse, POST /messages?sessionId=...  HTTP+SSE transport for clients that predate Streamable HTTP
+ *   GET /health                             health check, no authentication
+ *
+ * Without an auth token only requests whose Host (and Origin, if sent) name a loopback address are served.
+ */
+
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+export function isLoopbackHost(host) {
+  return ['127.0.0.1', '::1', 'localhost'].includes(host);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, message, headers = {}) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null }, headers);
+}
+
+// Hostname of a URL without the brackets of an IPv6 address, or null when it cannot be parsed
+function parseHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch (error) {
+    return null;
+  }
+}
+
+// A web page can make a browser send requests to a loopback port through a host name it controls (DNS
+// rebinding), so a server without a token only answers requests addressed to a loopback host, and from a
+// loopback origin when they come from a browser
+function isLoopbackRequest(req) {
+  const host = parseHostname(`http://${req.headers.host || ''}`);
+  if (!host || !isLoopbackHost(host)) {
+    return false;
+  }
+  const origin = req.headers.origin;
+  return origin === undefined || isLoopbackHost(parseHostname(origin) || '');
+}
+
+// Compare bearer tokens in constant time
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(Object.assign(new Error('Parse error: request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+export async function startHttpTransport({
+  host = '127.0.0.1',
+  port = 3000,
+  authToken = null,
+  sessionIdleTimeoutMs = 30 * 60 * 1000,
+  createServer,
+  getHealth = () => ({}),
+  log = () => {}
+}) {
+  // sessionId -> { kind: 'streamable' | 'sse', transport, server, lastActivity }
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  const closeSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    session.server.close().catch(error => log('error', `Error closing MCP session ${sessionId}: ${error.message}`));
+    log('info', `MCP ${session.kind} session ${sessionId} closed (${sessions.size} active)`);
+  };
+
+  const handleStreamableRequest = async (req, res) => {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.kind !== 'streamable') {
+        return sendJsonRpcError(res, 404, 'Session not found');
+      }
+      session.lastActivity = Date.now();
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    const messages = Array.isArray(body) ? body : [body];
+    if (req.method !== 'POST' || !messages.some(message => isInitializeRequest(message))) {
+      return sendJsonRpcError(res, 400, 'Bad Request: missing Mcp-Session-Id header or initialize request');
+    }
+
+    // New session: a fresh MCP Server per client keeps protocol state (capabilities, request ids) separate
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        sessions.set(newSessionId, { kind: 'streamable', transport, server, lastActivity: Date.now() });
+        log('info', `MCP streamable session ${newSessionId} opened (${sessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) closeSession(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSseStream = async (req, res) => {
+    const server = createServer();
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { kind: 'sse', transport, server, lastActivity: Date.now() });
+    log('info', `MCP sse session ${transport.sessionId} opened (${sessions.size} active)`);
+    res.on('close', () => closeSession(transport.sessionId));
+    await server.connect(transport);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session || session.kind !== 'sse') {
+      return sendJsonRpcError(res, 404, 'Session not found');
+    }
+    session.lastActivity = Date.now();
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!authToken && !isLoopbackRequest(req)) {
+        return sendJsonRpcError(res, 403, 'Forbidden: without an auth token only requests to and from a loopback address are accepted');
+      }
+
+      if (url.pathname === '/health' && req.method === 'GET') {
+        return sendJson(res, 200, {
+          status: 'ok',
+          sessions: sessions.size,
+          uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+          ...getHealth()
+        });
+      }
+
+      if (!isAuthorized(req, authToken)) {
+        return sendJsonRpcError(res, 401, 'Unauthorized: missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      if (url.pathname === '/mcp') {
+        return await handleStreamableRequest(req, res);
+      }
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        return await handleSseStream(req, res);
+      }
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        return await handleSseMessage(req, res, url);
+      }
+      return sendJsonRpcError(res, 404, `Not found: ${req.method} ${url.pathname}`);
+    } catch (error) {
+      log('error', `HTTP transport error on ${req.method} ${url.pathname}: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const address = httpServer.address();
+
+  // Streamable HTTP clients do not always end their session with a DELETE, so idle sessions are closed.
+  // SSE sessions end when their stream disconnects. A timeout of 0 keeps sessions until the client ends them.
+  const sweepTimer = sessionIdleTimeoutMs > 0 ? setInterval(() => {
+    const cutoff = Date.now() - sessionIdleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.kind === 'streamable' && session.lastActivity < cutoff) {
+        log('info', `Closing idle MCP session ${sessionId}`);
+        session.transport.close().catch(() => {});
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(Math.max(sessionIdleTimeoutMs, 1000), 60 * 1000)) : null;
+  sweepTimer?.unref();
+
+  return {
+    httpServer,
+    sessions,
+    url: `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`,
+    close: async () => {
+      clearInterval(sweepTimer);
+      for (const sessionId of [...sessions.keys()]) {
+        const session = sessions.get(sessionId);
+        await session.transport.close().catch(() => {});
+        closeSession(sessionId);
+      }
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
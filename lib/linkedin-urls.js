@@ -0,0 +1,110 @@
+/**
+ * LinkedIn URL normalization
+ * Brings the many forms of a LinkedIn profile URL (missing scheme, locale subdomains such as de.linkedin.com,
+ * tracking query strings, trailing slashes, bare paths and bare public identifiers) into one canonical form, so
+ * Proxycurl gets a URL it accepts and equal profiles share a cache entry. Wrong entity types are caught before
+ * any credits are spent.
+ */
+
+// The kinds of LinkedIn pages the tools take, with their path segment and the tool that fetches them
+export const LINKEDIN_ENTITY_TYPES = {
+  person: { segment: 'in', label: 'person profile', tool: 'get_person_profile' },
+  company: { segment: 'company', label: 'company', tool: 'get_company_profile' },
+  school: { segment: 'school', label: 'school', tool: null }
+};
+
+// Vanity names and numeric IDs; anything with a slash or dot is treated as a URL
+const PUBLIC_IDENTIFIER = /^[\p{L}\p{N}_%-]+$/u;
+
+export function canonicalLinkedInUrl(type, identifier) {
+  return `https://www.linkedin.com/${LINKEDIN_ENTITY_TYPES[type].segment}/${encodeURIComponent(identifier)}`;
+}
+
+// Identifiers may arrive percent-encoded; they are kept decoded (and in lower case, as LinkedIn does not
+// distinguish case) so canonicalLinkedInUrl encodes them exactly once
+function decodeIdentifier(rawIdentifier) {
+  let identifier;
+  try {
+    identifier = decodeURIComponent(rawIdentifier);
+  } catch {
+    identifier = rawIdentifier;
+  }
+  return identifier.toLowerCase();
+}
+
+function exampleUrl(type) {
+  return `https://www.linkedin.com/${LINKEDIN_ENTITY_TYPES[type].segment}/<public-identifier>`;
+}
+
+// Parse a LinkedIn person, company or school URL. Returns { type, identifier, url } with the identifier in
+// lower case (LinkedIn does not distinguish case) and url in canonical form, or null for anything else.
+export function parseLinkedInUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  let text = value.trim();
+  if (text.startsWith('/')) {
+    text = `https://www.linkedin.com${text}`;
+  } else if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+    text = `https://${text}`;
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  if (host !== 'linkedin.com' && !host.endsWith('.linkedin.com')) {
+    return null;
+  }
+
+  // Extra segments (/company/foo/about/, /in/foo/details/experience/) point into the same page
+  const [segment = '', rawIdentifier] = url.pathname.split('/').filter(Boolean);
+  const type = Object.keys(LINKEDIN_ENTITY_TYPES).find(key => LINKEDIN_ENTITY_TYPES[key].segment === segment.toLowerCase());
+  if (!type || !rawIdentifier) {
+    return null;
+  }
+  const identifier = decodeIdentifier(rawIdentifier);
+  return { type, identifier, url: canonicalLinkedInUrl(type, identifier) };
+}
+
+// The canonical URL of a LinkedIn page of the expected type, given as any URL form or as a bare public
+// identifier. Throws an Error explaining what is wrong, e.g. a person URL where a company URL is expected.
+export function normalizeLinkedInUrl(value, expectedType) {
+  const expected = LINKEDIN_ENTITY_TYPES[expectedType];
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (PUBLIC_IDENTIFIER.test(text)) {
+    return canonicalLinkedInUrl(expectedType, decodeIdentifier(text));
+  }
+
+  const parsed = parseLinkedInUrl(text);
+  if (!parsed) {
+    throw new Error(`'${value}' is not a LinkedIn ${expected.label} URL. Expected ${exampleUrl(expectedType)} or just the public identifier`);
+  }
+  if (parsed.type !== expectedType) {
+    const actual = LINKEDIN_ENTITY_TYPES[parsed.type];
+    const hint = actual.tool ? ` Use ${actual.tool} for ${actual.label} URLs.` : '';
+    throw new Error(`'${value}' is a LinkedIn ${actual.label} URL, but a ${expected.label} URL is expected (${exampleUrl(expectedType)}).${hint}`);
+  }
+  return parsed.url;
+}
+
+// Normalize the LinkedIn URL arguments of a tool call. `fields` maps argument names to the entity type they
+// take. Returns { args, problems } like argument validation: the arguments with canonical URLs, and one
+// problem per URL that could not be normalized.
+export function normalizeLinkedInArguments(args, fields = {}) {
+  const normalized = { ...args };
+  const problems = [];
+  for (const [field, type] of Object.entries(fields)) {
+    // Values of other types are left to argument validation to report
+    if (typeof normalized[field] !== 'string') continue;
+    try {
+      normalized[field] = normalizeLinkedInUrl(normalized[field], type);
+    } catch (error) {
+      problems.push(`${field}: ${error.message}`);
+    }
+  }
+  return { args: normalized, problems };
+}
@@ -0,0 +1,226 @@
+/**
+ * Markdown rendering of tool results
+ * Templates that turn profiles and result lists into markdown a chat client can show as is, selected per call
+ * with `format: markdown | both`. Every field is optional, so projected and compacted results render too.
+ */
+
+import { formatDate, formatPeriod, personName, currentRole } from './profile-format.js';
+
+export const OUTPUT_FORMATS = ['json', 'markdown', 'both'];
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? value.toLocaleString('en-US') : null;
+}
+
+// Table cells cannot contain pipes or line breaks
+function cell(value) {
+  return value === null || value === undefined || value === '' ? '' : String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Spaces and parentheses would end the link target early, so the URL is percent-encoded
+function link(label, url) {
+  if (!url) return label;
+  const target = encodeURI(safeDecodeURI(url)).replace(/\(/g, '%28').replace(/\)/g, '%29');
+  return `[${String(label || url).replace(/[[\]]/g, '')}](${target})`;
+}
+
+// URLs may arrive already encoded; decode them first so they are not encoded twice
+function safeDecodeURI(url) {
+  try {
+    return decodeURI(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+function joinPresent(values, separator = ', ') {
+  return values.filter(value => value !== null && value !== undefined && value !== '').join(separator);
+}
+
+export function renderPersonProfile(profile) {
+  const sections = [`# ${personName(profile)}`];
+  if (profile.headline) {
+    sections.push(`*${profile.headline}*`);
+  }
+
+  const facts = joinPresent([
+    joinPresent([profile.city, profile.state, profile.country_full_name || profile.country]),
+    profile.follower_count !== undefined && profile.follower_count !== null ? `${formatNumber(profile.follower_count)} followers` : null,
+    profile.connections !== undefined && profile.connections !== null ? `${formatNumber(profile.connections)} connections` : null
+  ], ' · ');
+  const profileLink = profile.public_identifier ? `[LinkedIn profile](https://www.linkedin.com/in/${profile.public_identifier})` : null;
+  if (facts || profileLink) {
+    sections.push(joinPresent([facts, profileLink], '\n'));
+  }
+
+  const role = currentRole(profile);
+  if (role) {
+    const since = formatDate(role.starts_at);
+    sections.push(`## Current role\n**${role.title}**${role.company ? ` at **${role.company}**` : ''}${since ? ` (since ${since})` : ''}${role.location ? ` — ${role.location}` : ''}`);
+  }
+
+  if (profile.summary) {
+    sections.push(`## About\n${profile.summary}`);
+  }
+
+  if (profile.experiences?.length > 0) {
+    sections.push(`## Experience\n${table(['Period', 'Title', 'Company', 'Location'], profile.experiences.map(experience => [
+      formatPeriod(experience.starts_at, experience.ends_at),
+      experience.title,
+      link(experience.company, experience.company_linkedin_profile_url),
+      experience.location
+    ]))}`);
+  }
+
+  if (profile.education?.length > 0) {
+    sections.push(`## Education\n${table(['Period', 'School', 'Degree', 'Field of study'], profile.education.map(entry => [
+      formatPeriod(entry.starts_at, entry.ends_at),
+      link(entry.school, entry.school_linkedin_profile_url),
+      entry.degree_name,
+      entry.field_of_study
+    ]))}`);
+  }
+
+  if (profile.skills?.length > 0) {
+    sections.push(`## Skills\n${profile.skills.join(', ')}`);
+  }
+  if (profile.certifications?.length > 0) {
+    sections.push(`## Certifications\n${profile.certifications.map(certification => `- ${joinPresent([certification.name, certification.authority], ' — ')}`).join('\n')}`);
+  }
+  if (profile.languages?.length > 0) {
+    sections.push(`## Languages\n${profile.languages.join(', ')}`);
+  }
+  return sections.join('\n\n');
+}
+
+function formatCompanySize(profile) {
+  const [min, max] = profile.company_size || [];
+  const band = min ? `${formatNumber(min)}${max ? `-${formatNumber(max)}` : '+'} employees` : null;
+  const onLinkedIn = Number.isFinite(profile.company_size_on_linkedin) ? `${formatNumber(profile.company_size_on_linkedin)} on LinkedIn` : null;
+  return band && onLinkedIn ? `${band} (${onLinkedIn})` : band || onLinkedIn;
+}
+
+function formatLocation(location) {
+  return location ? joinPresent([location.city, location.state, location.country]) : null;
+}
+
+function formatMoney(amount) {
+  return Number.isFinite(amount) ? `$${formatNumber(amount)}` : null;
+}
+
+export function renderCompanyProfile(profile) {
+  const name = profile.name || profile.universal_name_id || 'Unknown company';
+  const sections = [`# ${name}`];
+  if (profile.tagline) {
+    sections.push(`*${profile.tagline}*`);
+  }
+
+  const facts = [
+    ['Industry', profile.industry],
+    ['Company size', formatCompanySize(profile)],
+    ['Headquarters', formatLocation(profile.hq)],
+    ['Founded', profile.founded_year],
+    ['Type', profile.company_type],
+    ['Website', profile.website],
+    ['Followers', formatNumber(profile.follower_count)],
+    ['Total funding', formatMoney(profile.extra?.total_funding_amount)],
+    ['LinkedIn', profile.universal_name_id ? `https://www.linkedin.com/company/${profile.universal_name_id}` : null]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+  if (facts.length > 0) {
+    sections.push(table(['', ''], facts));
+  }
+
+  if (profile.description) {
+    sections.push(`## About\n${profile.description}`);
+  }
+  if (profile.specialities?.length > 0) {
+    sections.push(`## Specialities\n${profile.specialities.join(', ')}`);
+  }
+  if (profile.funding_data?.length > 0) {
+    sections.push(`## Funding\n${table(['Date', 'Round', 'Amount', 'Investors'], profile.funding_data.map(round => [
+      formatDate(round.announced_date),
+      round.funding_type,
+      formatMoney(round.money_raised),
+      (round.investor_list || []).map(investor => investor.name).filter(Boolean).join(', ') || round.number_of_investor
+    ]))}`);
+  }
+  if (profile.locations?.length > 1) {
+    sections.push(`## Locations\n${profile.locations.map(location => `- ${formatLocation(location)}${location.is_hq ? ' (HQ)' : ''}`).join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
+
+// Heading and footer shared by the result lists
+function renderList(result, resultsKey, [singular, plural], headers, toRow) {
+  const items = result[resultsKey] || [];
+  const total = Number.isFinite(result.total_result_count) ? ` of ${formatNumber(result.total_result_count)}` : '';
+  const sections = [`**${items.length} ${items.length === 1 ? singular : plural}${total}**`];
+  if (result.pagination) {
+    const { pages, credits_spent: creditsSpent, stop_reason: stopReason } = result.pagination;
+    sections[0] += ` from ${pages} page${pages === 1 ? '' : 's'} (${creditsSpent} credits, stopped: ${stopReason})`;
+  }
+  if (items.length > 0) {
+    sections.push(table(['#', ...headers], items.map((item, index) => [index + 1, ...toRow(item)])));
+  }
+  if (result.cursor) {
+    sections.push(`More results are available: pass \`cursor: "${result.cursor}"\` to fetch the next page.`);
+  }
+  return sections.join('\n\n');
+}
+
+// Name, title and link of a person in a list; only the URL is known unless profiles were enriched
+function personRow(url, profile) {
+  const role = profile ? currentRole(profile) : null;
+  return [
+    profile ? personName(profile) : '',
+    role ? joinPresent([role.title, role.company], ' at ') : profile?.headline,
+    url
+  ];
+}
+
+export function renderEmployeeList(result) {
+  return renderList(result, 'employees', ['employee', 'employees'], ['Name', 'Title', 'LinkedIn'],
+    employee => personRow(employee.profile_url, employee.profile));
+}
+
+export function renderPersonSearch(result) {
+  if (result.error) {
+    return result.error;
+  }
+  return renderList(result, 'results', ['person', 'people'], ['Name', 'Title', 'LinkedIn'],
+    person => personRow(person.linkedin_profile_url, person.profile));
+}
+
+export function renderCompanySearch(result) {
+  return renderList(result, 'results', ['company', 'companies'], ['Name', 'Industry', 'Size', 'LinkedIn'], company => [
+    company.profile?.name,
+    company.profile?.industry,
+    company.profile ? formatCompanySize(company.profile) : '',
+    company.linkedin_profile_url
+  ]);
+}
+
+export function renderLookupResult(result) {
+  if (!result.url) {
+    return 'No matching LinkedIn profile was found.';
+  }
+  const scores = [
+    ['name', result.name_similarity_score],
+    ['company', result.company_similarity_score],
+    ['title', result.title_similarity_score],
+    ['location', result.location_similarity_score]
+  ].filter(([, score]) => Number.isFinite(score)).map(([label, score]) => `${label} ${score}`);
+  const sections = [`**Best match:** ${result.url}${scores.length > 0 ? `\nSimilarity: ${scores.join(', ')}` : ''}`];
+  if (result.profile) {
+    sections.push(renderPersonProfile(result.profile));
+  }
+  return sections.join('\n\n');
+}
@@ -0,0 +1,34 @@
+/**
+ * Profile formatting helpers
+ * Names, dates and periods of Proxycurl profiles as both the text summaries (lib/tool-output.js) and the
+ * markdown templates (lib/markdown.js) show them, so the two wordings cannot drift apart.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Proxycurl dates are { day, month, year } objects
+export function formatDate(date) {
+  if (!date?.year) return null;
+  return date.month ? `${MONTHS[date.month - 1]} ${date.year}` : String(date.year);
+}
+
+// "Jan 2020 – present", "2018 – Mar 2021"; an end without a known date is "?"
+export function formatPeriod(startsAt, endsAt) {
+  const start = formatDate(startsAt);
+  const end = formatDate(endsAt);
+  if (!start) return end ? `until ${end}` : '';
+  return `${start} – ${endsAt ? end || '?' : 'present'}`;
+}
+
+export function personName(profile) {
+  return profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || profile.public_identifier || 'Unknown person';
+}
+
+export function companyName(profile) {
+  return profile.name || profile.universal_name_id || 'Unknown company';
+}
+
+// The role a person holds now: the first experience without an end date
+export function currentRole(profile) {
+  return (profile.experiences || []).find(experience => experience.title && !experience.ends_at) || null;
+}
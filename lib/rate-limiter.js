@@ -0,0 +1,224 @@
+/**
+ * Proactive rate limiting for Proxycurl requests
+ * A token bucket per endpoint family (Proxycurl's limits differ between search and profile endpoints) plus a
+ * bounded concurrency queue, so bursts of parallel tool calls are spread out before they reach the API
+ * instead of tripping 429s and sleeping through retry backoffs.
+ */
+
+import { getEndpointName } from "./endpoints.js";
+
+// Endpoint family for each endpoint name; requests in a family share one bucket
+export const ENDPOINT_FAMILIES = {
+  person_profile: 'profile',
+  company_profile: 'profile',
+  person_lookup: 'profile',
+  employee_listing: 'search',
+  person_search: 'search',
+  company_search: 'search',
+  credit_balance: 'account',
+  unknown: 'account'
+};
+
+// Default requests per minute for each family. 0 disables the limit for that family.
+export const DEFAULT_RATE_LIMITS = {
+  profile: 300,
+  search: 60,
+  account: 60
+};
+
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 4;
+export const DEFAULT_MAX_QUEUED_REQUESTS = 100;
+
+// Parse rate limit overrides of the form "search=30,profile=120"
+export function parseRateLimits(entries) {
+  const limits = {};
+  for (const entry of entries) {
+    for (const pair of entry.split(',')) {
+      if (!pair.trim()) continue;
+      const [family, perMinute] = pair.split('=').map(part => part && part.trim());
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_RATE_LIMITS, family)) {
+        throw new Error(`Unknown endpoint family '${family}' in rate limit setting. Valid families: ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')}`);
+      }
+      const value = Number(perMinute);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid rate limit '${perMinute}' for family '${family}'. Expected requests per minute >= 0`);
+      }
+      limits[family] = value;
+    }
+  }
+  return limits;
+}
+
+// Raised when the request queue is full; callers should surface it rather than retry
+export class RequestQueueFullError extends Error {
+  constructor(maxQueued) {
+    super(`Too many queued Proxycurl requests (limit ${maxQueued}); try again shortly`);
+    this.name = 'RequestQueueFullError';
+    this.code = 'ERR_REQUEST_QUEUE_FULL';
+  }
+}
+
+// Remove a waiter from a queue and reject it when the signal aborts. Returns a cleanup function for when the
+// waiter is served first.
+function cancelOnAbort(signal, queue, waiter, reject) {
+  if (!signal) return () => {};
+  const onAbort = () => {
+    const index = queue.indexOf(waiter);
+    if (index !== -1) queue.splice(index, 1);
+    reject(signal.reason ?? new Error('Aborted'));
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+// Token bucket refilled continuously at ratePerMinute, holding at most `capacity` tokens.
+// Waiters are served in arrival order.
+export class TokenBucket {
+  constructor(ratePerMinute, capacity = Math.max(1, Math.ceil(ratePerMinute / 10))) {
+    this.ratePerMs = ratePerMinute / 60000;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+
+  // Take a token only if one is available without waiting
+  tryTake() {
+    this.refill();
+    if (this.waiters.length > 0 || this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Resolves once a token has been taken for the caller. Rejects, without taking a token, if the signal aborts first.
+  take(signal = null) {
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        cleanup();
+        resolve();
+      };
+      const cleanup = cancelOnAbort(signal, this.waiters, waiter, reject);
+      this.waiters.push(waiter);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+    if (this.waiters.length > 0 && !this.timer) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.ratePerMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+}
+
+// Limits how many requests are in flight at once and how many may wait for a slot or a token
+export class RequestScheduler {
+  constructor({
+    limits = {},
+    maxConcurrent = DEFAULT_MAX_CONCURRENT_REQUESTS,
+    maxQueued = DEFAULT_MAX_QUEUED_REQUESTS,
+    log = () => {}
+  } = {}) {
+    this.limits = { ...DEFAULT_RATE_LIMITS, ...limits };
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.maxQueued = maxQueued;
+    this.log = log;
+    this.buckets = {};
+    for (const [family, perMinute] of Object.entries(this.limits)) {
+      if (perMinute > 0) {
+        this.buckets[family] = new TokenBucket(perMinute);
+      }
+    }
+    this.active = 0;
+    this.queued = 0;
+    this.slotWaiters = [];
+  }
+
+  waitForSlot(signal = null) {
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        cleanup();
+        resolve();
+      };
+      const cleanup = cancelOnAbort(signal, this.slotWaiters, waiter, reject);
+      this.slotWaiters.push(waiter);
+    });
+  }
+
+  // Hand the slot straight to the next waiter, if any
+  releaseSlot() {
+    const next = this.slotWaiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active -= 1;
+    }
+  }
+
+  // Run fn once the request's family has a token and a concurrency slot is free.
+  // fn receives the number of milliseconds the request waited. An aborted signal ends the wait.
+  async schedule(url, fn, { signal = null } = {}) {
+    signal?.throwIfAborted();
+    const family = ENDPOINT_FAMILIES[getEndpointName(url)] || 'account';
+    const bucket = this.buckets[family];
+    const queuedAt = Date.now();
+    // Fast path: claim a slot and a token synchronously, so calls arriving together are counted straight away
+    if (this.active < this.maxConcurrent && (!bucket || bucket.tryTake())) {
+      this.active += 1;
+    } else {
+      if (this.queued >= this.maxQueued) {
+        throw new RequestQueueFullError(this.maxQueued);
+      }
+      this.queued += 1;
+      try {
+        if (bucket) {
+          await bucket.take(signal);
+        }
+        if (this.active < this.maxConcurrent) {
+          this.active += 1;
+        } else {
+          await this.waitForSlot(signal);
+        }
+      } finally {
+        this.queued -= 1;
+      }
+    }
+
+    const waitedMs = Date.now() - queuedAt;
+    if (waitedMs > 0) {
+      this.log('info', `Request to ${family} endpoint waited ${waitedMs}ms for the rate limiter`);
+    }
+    try {
+      return await fn(waitedMs);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queued,
+      max_concurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null,
+      max_queued: this.maxQueued,
+      limits_per_minute: this.limits
+    };
+  }
+}
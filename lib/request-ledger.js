@@ -0,0 +1,143 @@
+/**
+ * Append-only request ledger
+ * Records every outbound Proxycurl request as one JSON line, rotates the file when it grows too large,
+ * and summarizes spend per day and tool for the `proxycurl-mcp ledger summary` command.
+ */
+
+import { appendFile, mkdir, readFile, rename, rm, stat } from "fs/promises";
+import { dirname } from "path";
+
+// Parameters that identify a person are never written to the ledger
+const PERSONAL_PARAMS = ['first_name', 'last_name', 'linkedin_profile_url', 'twitter_profile_url', 'facebook_profile_url'];
+const SECRET_PARAM_PATTERN = /key|token|secret|password|auth/i;
+
+// Replace personal and secret values with a placeholder, keeping the parameter names for analysis
+export function redactParams(endpoint, params = {}) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    const isPersonal = PERSONAL_PARAMS.includes(key) || (endpoint === 'person_profile' && key === 'url');
+    redacted[key] = isPersonal || SECRET_PARAM_PATTERN.test(key) ? '[redacted]' : value;
+  }
+  return redacted;
+}
+
+export class RequestLedger {
+  constructor({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5, log = () => {} }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.log = log;
+    // Appends are chained so rotation never races with a concurrent write
+    this.queue = Promise.resolve();
+  }
+
+  append(entry) {
+    this.queue = this.queue
+      .then(() => this.write(`${JSON.stringify(entry)}\n`))
+      .catch(error => this.log('error', `Failed to write request ledger ${this.file}: ${error.message}`));
+    return this.queue;
+  }
+
+  async write(line) {
+    await mkdir(dirname(this.file), { recursive: true });
+    await this.rotateIfNeeded(Buffer.byteLength(line));
+    await appendFile(this.file, line);
+  }
+
+  // Rotate requests.jsonl -> requests.jsonl.1 -> ... -> requests.jsonl.<maxFiles>, dropping the oldest
+  async rotateIfNeeded(incomingBytes) {
+    let size;
+    try {
+      size = (await stat(this.file)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (size + incomingBytes <= this.maxBytes) return;
+
+    await rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await rename(this.file, `${this.file}.1`);
+    this.log('info', `Rotated request ledger ${this.file}`);
+  }
+}
+
+// Read all ledger entries, oldest rotated file first. Unparseable lines are skipped.
+export async function readLedgerEntries(file, maxFiles = 5) {
+  const files = [];
+  for (let index = maxFiles; index >= 1; index--) {
+    files.push(`${file}.${index}`);
+  }
+  files.push(file);
+
+  const entries = [];
+  for (const path of files) {
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A partially written last line should not break the summary
+      }
+    }
+  }
+  return entries;
+}
+
+// Aggregate requests, failures and credits per day and tool.
+// Actual credit costs reported by Proxycurl are used when known, estimates otherwise.
+export function summarizeLedger(entries, { since = null } = {}) {
+  const rows = new Map();
+  for (const entry of entries) {
+    const day = entry.timestamp.slice(0, 10);
+    if (since && day < since) continue;
+
+    const tool = entry.tool || '(background)';
+    const key = `${day}\u0000${tool}`;
+    if (!rows.has(key)) {
+      rows.set(key, { day, tool, requests: 0, failed: 0, credits: 0, estimated_credits: 0 });
+    }
+    const row = rows.get(key);
+    row.requests += 1;
+    if (!entry.status || entry.status >= 400) {
+      row.failed += 1;
+    }
+    row.estimated_credits += entry.estimated_credits || 0;
+    row.credits += entry.credit_cost ?? (entry.status && entry.status < 400 ? entry.estimated_credits || 0 : 0);
+  }
+
+  return [...rows.values()].sort((a, b) => a.day.localeCompare(b.day) || a.tool.localeCompare(b.tool));
+}
+
+// Render summary rows as a plain-text table
+export function formatLedgerSummary(rows) {
+  if (rows.length === 0) {
+    return 'No requests recorded.';
+  }
+
+  const header = ['Day', 'Tool', 'Requests', 'Failed', 'Credits', 'Estimated'];
+  const lines = rows.map(row => [row.day, row.tool, row.requests, row.failed, row.credits, row.estimated_credits].map(String));
+  const totals = rows.reduce((sum, row) => {
+    sum.requests += row.requests;
+    sum.failed += row.failed;
+    sum.credits += row.credits;
+    sum.estimated += row.estimated_credits;
+    return sum;
+  }, { requests: 0, failed: 0, credits: 0, estimated: 0 });
+  lines.push(['Total', '', totals.requests, totals.failed, totals.credits, totals.estimated].map(String));
+
+  const widths = header.map((title, column) => Math.max(title.length, ...lines.map(line => line[column].length)));
+  const formatLine = line => line.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [formatLine(header), widths.map(width => '-'.repeat(width)).join('  '), ...lines.map(formatLine)].join('\n');
+}
@@ -0,0 +1,114 @@
+/**
+ * On-disk response cache for Proxycurl requests
+ * Entries are keyed by API URL + endpoint + normalized params and expire after a per-endpoint TTL. The API URL
+ * is part of the key so responses of another API base URL (such as a local fake server) are never served.
+ */
+
+import { mkdir, readFile, rename, rm, writeFile } from "fs/promises";
+import { join } from "path";
+import { ENDPOINTS, getRequestHash, normalizeRequest } from "./endpoints.js";
+
+// Supported values for the per-tool cache_mode argument
+export const CACHE_MODES = ['prefer_cache', 'bypass', 'only_cache'];
+
+// Default TTLs in seconds. Profiles change slowly, search results go stale faster.
+// A TTL of 0 disables caching for that endpoint.
+export const DEFAULT_CACHE_TTLS = {
+  person_profile: 7 * 24 * 60 * 60,
+  company_profile: 7 * 24 * 60 * 60,
+  person_lookup: 7 * 24 * 60 * 60,
+  employee_listing: 24 * 60 * 60,
+  person_search: 6 * 60 * 60,
+  company_search: 6 * 60 * 60,
+  credit_balance: 0
+};
+
+// Parse TTL overrides of the form "person_profile=86400,person_search=600"
+export function parseCacheTtls(entries) {
+  const ttls = {};
+  for (const entry of entries) {
+    for (const pair of entry.split(',')) {
+      if (!pair.trim()) continue;
+      const [endpoint, seconds] = pair.split('=').map(part => part && part.trim());
+      if (!Object.prototype.hasOwnProperty.call(ENDPOINTS, endpoint)) {
+        throw new Error(`Unknown endpoint '${endpoint}' in cache TTL setting. Valid endpoints: ${Object.keys(ENDPOINTS).join(', ')}`);
+      }
+      const value = Number(seconds);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid cache TTL '${seconds}' for endpoint '${endpoint}'. Expected a number of seconds >= 0`);
+      }
+      ttls[endpoint] = value;
+    }
+  }
+  return ttls;
+}
+
+export class ResponseCache {
+  constructor({ dir, ttls = {}, log = () => {} }) {
+    this.dir = dir;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+    this.log = log;
+  }
+
+  // TTL in seconds for the endpoint a request URL belongs to
+  getTtl(url) {
+    const { endpoint } = normalizeRequest(url);
+    return this.ttls[endpoint] || 0;
+  }
+
+  isCacheable(url) {
+    return this.getTtl(url) > 0;
+  }
+
+  getEntryPath(url, params) {
+    const request = normalizeRequest(url, params);
+    const { origin } = new URL(url);
+    const apiUrl = `${origin}${request.path.replace(/\/+$/, '')}`;
+    return { request, apiUrl, file: join(this.dir, request.endpoint, `${getRequestHash(request, apiUrl)}.json`) };
+  }
+
+  // Returns { data, storedAt, ageSeconds } for a fresh entry, or null on a miss
+  async get(url, params) {
+    const { request, file } = this.getEntryPath(url, params);
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log('warn', `Ignoring unreadable cache entry ${file}: ${error.message}`);
+      }
+      return null;
+    }
+
+    const ageSeconds = Math.round((Date.now() - entry.storedAt) / 1000);
+    if (ageSeconds >= this.ttls[request.endpoint]) {
+      this.log('info', `Cache entry for ${request.endpoint} expired (${ageSeconds}s old)`);
+      await rm(file, { force: true });
+      return null;
+    }
+
+    return { data: entry.data, storedAt: entry.storedAt, ageSeconds };
+  }
+
+  async set(url, params, data) {
+    const { request, apiUrl, file } = this.getEntryPath(url, params);
+    const entry = {
+      url: apiUrl,
+      endpoint: request.endpoint,
+      params: request.params,
+      storedAt: Date.now(),
+      data
+    };
+
+    try {
+      await mkdir(join(this.dir, request.endpoint), { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written entry behind
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await writeFile(tempFile, JSON.stringify(entry));
+      await rename(tempFile, file);
+    } catch (error) {
+      // A failing cache must never fail the tool call itself
+      this.log('error', `Failed to write cache entry ${file}: ${error.message}`);
+    }
+  }
+}
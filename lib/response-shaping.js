@@ -0,0 +1,128 @@
+/**
+ * Response shaping
+ * Cuts tool results down before they reach the model: `fields` keeps only the listed dot paths, and the
+ * compact response mode drops empty values and bulky blocks. Full responses are still what gets cached.
+ */
+
+export const RESPONSE_MODES = ['full', 'compact', 'summary'];
+
+// Pagination state survives any projection, so a shaped search result can still be continued
+const ALWAYS_KEPT_FIELDS = ['cursor', 'pagination'];
+
+// Large blocks that rarely matter for answering a question, left out of compact responses
+export const COMPACT_OMITTED_FIELDS = [
+  'people_also_viewed', 'similarly_named_profiles', 'recommendations', 'activities', 'articles', 'groups',
+  'similar_companies', 'affiliated_companies', 'updates', 'profile_pic_url', 'background_cover_image_url', 'logo_url'
+];
+
+// Longer strings (summaries, descriptions) are cut to this many characters in compact responses
+export const COMPACT_MAX_TEXT_LENGTH = 300;
+
+// Parse a `fields` argument: a comma separated string or an array of dot paths such as `experiences.title`.
+// Returns the paths as arrays of keys. Throws an Error for a malformed argument.
+export function parseFieldPaths(fields) {
+  const entries = Array.isArray(fields) ? fields : typeof fields === 'string' ? fields.split(',') : null;
+  if (!entries || entries.some(entry => typeof entry !== 'string')) {
+    throw new Error('fields must be a comma separated string or an array of dot paths, e.g. "full_name,experiences.title"');
+  }
+  const paths = entries.map(entry => entry.trim()).filter(Boolean);
+  if (paths.length === 0) {
+    throw new Error('fields must list at least one field');
+  }
+  const invalid = paths.find(path => !/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(path));
+  if (invalid) {
+    throw new Error(`Invalid field path '${invalid}': use field names separated by dots, e.g. "experiences.company"`);
+  }
+  return paths.map(path => path.split('.'));
+}
+
+// Whether any value exists at the path. Arrays are looked into element by element.
+function hasPath(value, keys) {
+  if (keys.length === 0) {
+    return value !== undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.some(item => hasPath(item, keys));
+  }
+  return Boolean(value) && typeof value === 'object' && hasPath(value[keys[0]], keys.slice(1));
+}
+
+function applyProjection(value, tree) {
+  if (tree === true || value === null) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => applyProjection(item, tree));
+  }
+  if (typeof value !== 'object') {
+    return undefined; // The path goes deeper than the data
+  }
+  const projected = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (value[key] === undefined) continue;
+    const child = applyProjection(value[key], subtree);
+    if (child !== undefined) {
+      projected[key] = child;
+    }
+  }
+  return projected;
+}
+
+// Keep only the given paths (from parseFieldPaths) of a result. A path into an array applies to every element,
+// so `experiences.title` keeps the title of each experience. Returns { result, unmatched } where unmatched
+// lists the paths that found no data.
+export function projectFields(result, paths) {
+  const tree = {};
+  for (const keys of [...paths, ...ALWAYS_KEPT_FIELDS.map(field => [field])]) {
+    let node = tree;
+    for (const [index, key] of keys.entries()) {
+      if (node[key] === true) break; // A shorter path already keeps the whole value
+      if (index === keys.length - 1) {
+        node[key] = true;
+      } else {
+        node = node[key] = node[key] || {};
+      }
+    }
+  }
+  return {
+    result: applyProjection(result, tree),
+    unmatched: paths.filter(keys => !hasPath(result, keys)).map(keys => keys.join('.'))
+  };
+}
+
+// Returns the compacted value, or undefined when nothing is left of it
+function compactValue(value, omitted) {
+  if (Array.isArray(value)) {
+    // Elements are kept even when empty, so positions (e.g. company_size: [10001, null]) keep their meaning
+    const items = value.map(item => compactValue(item, omitted) ?? item);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const compacted = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (COMPACT_OMITTED_FIELDS.includes(key)) {
+        if (compactValue(child, new Set()) !== undefined) omitted.add(key);
+        continue;
+      }
+      const compactedChild = compactValue(child, omitted);
+      if (compactedChild !== undefined) {
+        compacted[key] = compactedChild;
+      }
+    }
+    return Object.keys(compacted).length > 0 ? compacted : undefined;
+  }
+  if (value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'string' && value.length > COMPACT_MAX_TEXT_LENGTH) {
+    return `${value.slice(0, COMPACT_MAX_TEXT_LENGTH - 1).trimEnd()}…`;
+  }
+  return value;
+}
+
+// Drop nulls, empty strings, arrays and objects, leave out COMPACT_OMITTED_FIELDS and shorten long text.
+// Returns { result, omitted } where omitted lists the left-out fields that had data.
+export function compactResult(result) {
+  const omitted = new Set();
+  return { result: compactValue(result, omitted) ?? {}, omitted: [...omitted] };
+}
@@ -0,0 +1,121 @@
+/**
+ * Retry policy
+ * How often and how long to wait before retrying a failed Proxycurl request, per endpoint. Delays come from
+ * the server when it says how long to wait (Retry-After or rate-limit reset headers), otherwise from an
+ * exponential backoff with jitter.
+ */
+
+import { ENDPOINTS, getEndpointName } from "./endpoints.js";
+
+// Delays are in seconds, like the other network settings
+export const DEFAULT_RETRY_POLICY = {
+  max_retries: 3,
+  base_delay: 1, // doubles on every attempt: 1s, 2s, 4s...
+  rate_limit_base_delay: 5, // 429s without a wait hint: 5s, 10s, 20s...
+  max_delay: 30,
+  retry_on: [429, 500, 502, 503, 504]
+};
+
+// Command line flag and environment variable for each setting of the default policy.
+// Per-endpoint overrides are only available in the config file.
+export const RETRY_SETTINGS = [
+  { key: 'max_retries', flag: '--max-retries', env: 'PROXYCURL_MAX_RETRIES' },
+  { key: 'base_delay', flag: '--retry-base-delay', env: 'PROXYCURL_RETRY_BASE_DELAY' },
+  { key: 'rate_limit_base_delay', flag: '--retry-rate-limit-delay', env: 'PROXYCURL_RETRY_RATE_LIMIT_DELAY' },
+  { key: 'max_delay', flag: '--retry-max-delay', env: 'PROXYCURL_RETRY_MAX_DELAY' },
+  { key: 'retry_on', flag: '--retry-on', env: 'PROXYCURL_RETRY_ON' }
+];
+
+// Validate one setting. `retry_on` accepts an array of status codes or a comma separated string.
+function parseRetrySetting(key, raw, source) {
+  if (key === 'retry_on') {
+    const codes = (Array.isArray(raw) ? raw : String(raw).split(',')).map(code => String(code).trim()).filter(Boolean).map(Number);
+    if (codes.some(code => !Number.isInteger(code) || code < 400 || code > 599)) {
+      throw new Error(`Invalid value '${raw}' for retry_on (${source}): expected HTTP status codes between 400 and 599`);
+    }
+    return codes;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (key === 'max_retries' && !Number.isInteger(value))) {
+    throw new Error(`Invalid value '${raw}' for ${key} (${source}): expected ${key === 'max_retries' ? 'a whole number' : 'a number of seconds'} >= 0`);
+  }
+  return value;
+}
+
+// Validate a policy object from the config file, keeping only the keys it sets
+function parsePolicyOverrides(overrides, source) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`${source} must be an object`);
+  }
+  const policy = {};
+  for (const [key, raw] of Object.entries(overrides)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_RETRY_POLICY, key)) {
+      throw new Error(`Unknown retry setting '${key}' in ${source}. Valid settings: ${Object.keys(DEFAULT_RETRY_POLICY).join(', ')}`);
+    }
+    policy[key] = parseRetrySetting(key, raw, source);
+  }
+  return policy;
+}
+
+// Resolve the default retry policy (flag > environment variable > config file `retry` object) and the
+// per-endpoint policies from `retry.endpoints` in the config file, which apply on top of the default.
+// Returns { default, endpoints }. Throws an Error describing the first invalid setting.
+export function resolveRetryPolicies({ getFlag = () => null, env = process.env, file = {} } = {}) {
+  const { endpoints: endpointOverrides = {}, ...fileDefaults } = file.retry || {};
+  const defaultPolicy = { ...DEFAULT_RETRY_POLICY, ...parsePolicyOverrides(fileDefaults, 'config file retry settings') };
+
+  for (const { key, flag, env: envVar } of RETRY_SETTINGS) {
+    const raw = getFlag(flag) ?? env[envVar];
+    if (raw === undefined || raw === null || raw === '') continue;
+    defaultPolicy[key] = parseRetrySetting(key, raw, `${flag} / ${envVar}`);
+  }
+
+  const endpoints = {};
+  for (const [endpoint, overrides] of Object.entries(endpointOverrides)) {
+    if (!Object.prototype.hasOwnProperty.call(ENDPOINTS, endpoint)) {
+      throw new Error(`Unknown endpoint '${endpoint}' in retry.endpoints. Valid endpoints: ${Object.keys(ENDPOINTS).join(', ')}`);
+    }
+    endpoints[endpoint] = { ...defaultPolicy, ...parsePolicyOverrides(overrides, `retry.endpoints.${endpoint}`) };
+  }
+
+  return { default: defaultPolicy, endpoints };
+}
+
+// Policy for the endpoint a request URL belongs to
+export function getRetryPolicy(policies, url) {
+  return policies.endpoints[getEndpointName(url)] || policies.default;
+}
+
+// Milliseconds the server asked us to wait, or null if it gave no hint. Understands Retry-After (seconds or
+// an HTTP date) and the common rate-limit reset headers (seconds to wait, or a Unix timestamp).
+export function getServerRetryDelay(headers = {}, now = Date.now()) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  for (const name of ['ratelimit-reset', 'x-ratelimit-reset-after', 'x-ratelimit-reset', 'x-rate-limit-reset']) {
+    const value = Number(headers[name]);
+    if (headers[name] === undefined || !Number.isFinite(value)) continue;
+    // Values this large are Unix timestamps (in seconds, or milliseconds) rather than a number of seconds
+    if (value > 1e12) return Math.max(0, value - now);
+    if (value > 1e9) return Math.max(0, value * 1000 - now);
+    return Math.max(0, value * 1000);
+  }
+  return null;
+}
+
+// Exponential backoff with ±25% jitter to prevent a thundering herd, capped at the policy's max_delay
+export function calculateBackoffDelay(policy, attempt, statusCode) {
+  const base = (statusCode === 429 ? policy.rate_limit_base_delay : policy.base_delay) * 1000;
+  const delay = Math.pow(2, attempt - 1) * base;
+  const jitter = delay * 0.5 * (Math.random() - 0.5);
+  return Math.round(Math.min(delay + jitter, policy.max_delay * 1000));
+}
@@ -0,0 +1,383 @@
+/**
+ * Structured tool output
+ * JSON Schemas for tool results (advertised as `outputSchema`), and the short text summaries and markdown
+ * digests returned next to the `structuredContent`. The schemas describe the fields Proxycurl documents without
+ * requiring any of them: Proxycurl leaves out fields it has no data for and adds new ones over time.
+ */
+
+import { formatPeriod, personName, companyName } from './profile-format.js';
+
+// Allow null as well as the schema's own type
+function nullable(schema) {
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+const STRING = { type: 'string' };
+const NULLABLE_STRING = nullable(STRING);
+const NULLABLE_INTEGER = nullable({ type: 'integer' });
+const STRING_LIST = { type: 'array', items: STRING };
+
+const DATE_SCHEMA = nullable({
+  type: 'object',
+  properties: { day: NULLABLE_INTEGER, month: NULLABLE_INTEGER, year: NULLABLE_INTEGER }
+});
+
+const EXPERIENCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    starts_at: DATE_SCHEMA,
+    ends_at: DATE_SCHEMA,
+    company: NULLABLE_STRING,
+    company_linkedin_profile_url: NULLABLE_STRING,
+    title: NULLABLE_STRING,
+    description: NULLABLE_STRING,
+    location: NULLABLE_STRING,
+    logo_url: NULLABLE_STRING
+  }
+};
+
+const EDUCATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    starts_at: DATE_SCHEMA,
+    ends_at: DATE_SCHEMA,
+    field_of_study: NULLABLE_STRING,
+    degree_name: NULLABLE_STRING,
+    school: NULLABLE_STRING,
+    school_linkedin_profile_url: NULLABLE_STRING,
+    description: NULLABLE_STRING,
+    logo_url: NULLABLE_STRING
+  }
+};
+
+const RELATED_PROFILE_SCHEMA = {
+  type: 'object',
+  properties: { name: NULLABLE_STRING, link: NULLABLE_STRING, summary: NULLABLE_STRING, location: NULLABLE_STRING }
+};
+
+export const PERSON_PROFILE_SCHEMA = {
+  type: 'object',
+  description: 'A LinkedIn person profile as returned by the Proxycurl Person Profile Endpoint',
+  properties: {
+    public_identifier: NULLABLE_STRING,
+    first_name: NULLABLE_STRING,
+    last_name: NULLABLE_STRING,
+    full_name: NULLABLE_STRING,
+    headline: NULLABLE_STRING,
+    occupation: NULLABLE_STRING,
+    summary: NULLABLE_STRING,
+    country: NULLABLE_STRING,
+    country_full_name: NULLABLE_STRING,
+    city: NULLABLE_STRING,
+    state: NULLABLE_STRING,
+    follower_count: NULLABLE_INTEGER,
+    connections: NULLABLE_INTEGER,
+    profile_pic_url: NULLABLE_STRING,
+    background_cover_image_url: NULLABLE_STRING,
+    experiences: { type: 'array', items: EXPERIENCE_SCHEMA },
+    education: { type: 'array', items: EDUCATION_SCHEMA },
+    languages: STRING_LIST,
+    skills: STRING_LIST,
+    certifications: { type: 'array', items: { type: 'object' } },
+    volunteer_work: { type: 'array', items: { type: 'object' } },
+    recommendations: STRING_LIST,
+    people_also_viewed: { type: 'array', items: RELATED_PROFILE_SCHEMA },
+    similarly_named_profiles: { type: 'array', items: RELATED_PROFILE_SCHEMA }
+  }
+};
+
+const LOCATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    country: NULLABLE_STRING,
+    city: NULLABLE_STRING,
+    postal_code: NULLABLE_STRING,
+    line_1: NULLABLE_STRING,
+    is_hq: nullable({ type: 'boolean' }),
+    state: NULLABLE_STRING
+  }
+};
+
+export const COMPANY_PROFILE_SCHEMA = {
+  type: 'object',
+  description: 'A LinkedIn company profile as returned by the Proxycurl Company Profile Endpoint',
+  properties: {
+    name: NULLABLE_STRING,
+    linkedin_internal_id: NULLABLE_STRING,
+    universal_name_id: NULLABLE_STRING,
+    description: NULLABLE_STRING,
+    tagline: NULLABLE_STRING,
+    website: NULLABLE_STRING,
+    industry: NULLABLE_STRING,
+    company_size: { type: 'array', items: NULLABLE_INTEGER, description: '[minimum, maximum] employees; the maximum is null for the largest size band' },
+    company_size_on_linkedin: NULLABLE_INTEGER,
+    company_type: NULLABLE_STRING,
+    founded_year: NULLABLE_INTEGER,
+    follower_count: NULLABLE_INTEGER,
+    specialities: STRING_LIST,
+    hq: nullable(LOCATION_SCHEMA),
+    locations: { type: 'array', items: LOCATION_SCHEMA },
+    profile_pic_url: NULLABLE_STRING,
+    background_cover_image_url: NULLABLE_STRING,
+    similar_companies: { type: 'array', items: { type: 'object' } },
+    affiliated_companies: { type: 'array', items: { type: 'object' } },
+    funding_data: { type: 'array', items: { type: 'object' } },
+    extra: nullable({ type: 'object' })
+  }
+};
+
+export const LOOKUP_RESULT_SCHEMA = {
+  type: 'object',
+  description: 'The best matching LinkedIn profile for a person, with similarity scores',
+  properties: {
+    url: { ...NULLABLE_STRING, description: 'LinkedIn profile URL of the match, or null when nobody matched' },
+    name_similarity_score: nullable({ type: 'number' }),
+    company_similarity_score: nullable({ type: 'number' }),
+    title_similarity_score: nullable({ type: 'number' }),
+    location_similarity_score: nullable({ type: 'number' }),
+    last_updated: NULLABLE_STRING,
+    profile: nullable(PERSON_PROFILE_SCHEMA)
+  }
+};
+
+// Added to search results when max_results walked several pages
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    pages: { type: 'integer' },
+    results_fetched: { type: 'integer' },
+    results_returned: { type: 'integer' },
+    duplicates_removed: { type: 'integer' },
+    credits_spent: { type: 'number' },
+    stop_reason: { type: 'string', enum: ['max_results', 'max_credits', 'no_more_pages', 'page_limit'] },
+    max_results: { type: 'integer' },
+    max_credits: nullable({ type: 'number' }),
+    next_page_estimated_credits: { type: 'number' }
+  }
+};
+
+// A page of search results under `resultsKey`, with the cursor for the next page
+function searchResultSchema(description, resultsKey, itemSchema) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      [resultsKey]: { type: 'array', items: itemSchema },
+      cursor: { ...NULLABLE_STRING, description: "Pass back as 'cursor' to fetch the next page; null on the last page" },
+      next_page: NULLABLE_STRING,
+      total_result_count: NULLABLE_INTEGER,
+      pagination: PAGINATION_SCHEMA
+    }
+  };
+}
+
+export const EMPLOYEE_LIST_SCHEMA = searchResultSchema('A page of a company\'s employees', 'employees', {
+  type: 'object',
+  properties: { profile_url: STRING, profile: nullable(PERSON_PROFILE_SCHEMA), last_updated: NULLABLE_STRING }
+});
+
+export const PERSON_SEARCH_SCHEMA = searchResultSchema('A page of people matching the search', 'results', {
+  type: 'object',
+  properties: { linkedin_profile_url: STRING, profile: nullable(PERSON_PROFILE_SCHEMA), last_updated: NULLABLE_STRING }
+});
+// Set instead of results when get_next_page has no search to continue
+PERSON_SEARCH_SCHEMA.properties.error = STRING;
+
+export const COMPANY_SEARCH_SCHEMA = searchResultSchema('A page of companies matching the search', 'results', {
+  type: 'object',
+  properties: { linkedin_profile_url: STRING, profile: nullable(COMPANY_PROFILE_SCHEMA), last_updated: NULLABLE_STRING }
+});
+
+export const RESET_SEARCH_STATE_SCHEMA = {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, cleared: { type: 'integer' }, message: STRING }
+};
+
+export const CREDIT_BALANCE_SCHEMA = {
+  type: 'object',
+  properties: { credit_balance: nullable({ type: 'number' }), low_balance_threshold: { type: 'number' }, low_balance: { type: 'boolean' } }
+};
+
+export const API_KEY_TEST_SCHEMA = {
+  type: 'object',
+  properties: { valid: { type: 'boolean' }, message: STRING, details: {} }
+};
+
+// What a tool returns instead of its result when it is called with dry_run (or the server runs with --dry-run)
+export const DRY_RUN_PLAN_SCHEMA = {
+  type: 'object',
+  description: 'The Proxycurl request a call would send and its estimated cost; nothing was sent',
+  properties: {
+    dry_run: { type: 'boolean', const: true },
+    tool: STRING,
+    valid: { type: 'boolean' },
+    request: nullable({
+      type: 'object',
+      properties: { method: STRING, endpoint: STRING, url: STRING, params: nullable({ type: 'object' }), full_url: STRING }
+    }),
+    note: STRING,
+    cache: {
+      type: 'object',
+      properties: { mode: STRING, would_hit: { type: 'boolean' }, age_seconds: NULLABLE_INTEGER }
+    },
+    cost: {
+      type: 'object',
+      properties: { estimated_max_credits: { type: 'number' }, breakdown: { type: 'array', items: { type: 'object' } }, max_pages: { type: 'integer' } }
+    },
+    budget: { type: 'object' }
+  },
+  required: ['dry_run', 'tool', 'cost']
+};
+
+// The output schema a tool advertises: its result, or the plan a dry run returns in its place
+export function withDryRunPlan(schema) {
+  return { type: 'object', description: schema.description, anyOf: [schema, DRY_RUN_PLAN_SCHEMA] };
+}
+
+// `formatName` lets the markdown digest highlight the name
+function describePerson(profile, formatName = name => name) {
+  const name = formatName(personName(profile));
+  const role = profile.headline || profile.occupation;
+  const location = [profile.city, profile.country_full_name || profile.country].filter(Boolean).join(', ');
+  return `${name}${role ? ` — ${role}` : ''}${location ? ` (${location})` : ''}`;
+}
+
+function describeCompany(profile, formatName = name => name) {
+  const details = [
+    profile.industry,
+    Number.isFinite(profile.company_size_on_linkedin) ? `${profile.company_size_on_linkedin} employees on LinkedIn` : null,
+    profile.hq ? [profile.hq.city, profile.hq.country].filter(Boolean).join(', ') : null
+  ].filter(Boolean);
+  return `${formatName(companyName(profile))}${details.length ? ` — ${details.join('; ')}` : ''}`;
+}
+
+function describeCount(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+// One page (or an auto-paginated collection) of search results, listing the first ten
+function describeSearch(result, resultsKey, [singular, plural], describeProfile) {
+  const items = result[resultsKey] || [];
+  const lines = [];
+  const total = Number.isFinite(result.total_result_count) ? ` of ${result.total_result_count}` : '';
+  let heading = `${describeCount(items.length, singular, plural)}${total}`;
+  if (result.pagination) {
+    heading += ` from ${describeCount(result.pagination.pages, 'page')} (${result.pagination.credits_spent} credits, stopped: ${result.pagination.stop_reason})`;
+  }
+  lines.push(`${heading}.`);
+  for (const item of items.slice(0, 10)) {
+    const url = item.linkedin_profile_url || item.profile_url;
+    lines.push(item.profile ? `- ${describeProfile(item.profile)}: ${url}` : `- ${url}`);
+  }
+  if (items.length > 10) {
+    lines.push(`- ... and ${items.length - 10} more`);
+  }
+  lines.push(result.cursor ? `More results are available: pass cursor '${result.cursor}' to fetch them.` : 'No more results.');
+  return lines.join('\n');
+}
+
+// Short human-readable summaries of each kind of result, returned as text next to the full result
+
+export function summarizePersonProfile(profile) {
+  return describePerson(profile);
+}
+
+export function summarizeCompanyProfile(profile) {
+  return describeCompany(profile);
+}
+
+export function summarizeLookupResult(result) {
+  if (!result.url) {
+    return 'No matching LinkedIn profile was found.';
+  }
+  return `Best match: ${result.url}${result.profile ? `\n${describePerson(result.profile)}` : ''}`;
+}
+
+export function summarizeEmployeeList(result) {
+  return describeSearch(result, 'employees', ['employee'], describePerson);
+}
+
+export function summarizePersonSearch(result) {
+  return result.error || describeSearch(result, 'results', ['person', 'people'], describePerson);
+}
+
+export function summarizeCompanySearch(result) {
+  return describeSearch(result, 'results', ['company', 'companies'], describeCompany);
+}
+
+export function summarizeCreditBalance(result) {
+  return `Credit balance: ${result.credit_balance ?? 'unknown'}${result.low_balance ? ` (below the low-balance threshold of ${result.low_balance_threshold})` : ''}.`;
+}
+
+export function summarizeDryRun(plan) {
+  return `Dry run of ${plan.tool}: no request was sent. Estimated cost: at most ${plan.cost?.estimated_max_credits ?? 0} credits.`;
+}
+
+// Fallback for results without a summary of their own
+export function summarizeMessage(result) {
+  if (!result || typeof result !== 'object') {
+    return String(result);
+  }
+  return result.message || JSON.stringify(result);
+}
+
+// Short markdown digests of each kind of result, returned instead of the JSON by the summary response mode
+
+const bold = text => `**${text}**`;
+
+export function digestPersonProfile(profile) {
+  const lines = [`${bold(personName(profile))}${profile.headline ? ` — ${profile.headline}` : ''}`];
+  const location = [profile.city, profile.country_full_name || profile.country].filter(Boolean).join(', ');
+  if (location) lines.push(`- **Location:** ${location}`);
+
+  const experiences = profile.experiences || [];
+  const current = experiences.filter(experience => !experience.ends_at);
+  const past = experiences.filter(experience => experience.ends_at);
+  const describeRole = experience => {
+    const period = formatPeriod(experience.starts_at, experience.ends_at);
+    return `${experience.title || 'Unknown role'} at ${experience.company || 'unknown company'}${period ? ` (${period})` : ''}`;
+  };
+  if (current.length > 0) lines.push(`- **Current:** ${current.slice(0, 2).map(describeRole).join('; ')}`);
+  if (past.length > 0) lines.push(`- **Previously:** ${past.slice(0, 3).map(describeRole).join('; ')}${past.length > 3 ? ` and ${past.length - 3} more` : ''}`);
+
+  const education = (profile.education || []).slice(0, 2).map(entry =>
+    [[entry.degree_name, entry.field_of_study].filter(Boolean).join(', '), entry.school].filter(Boolean).join(' — '));
+  if (education.length > 0) lines.push(`- **Education:** ${education.join('; ')}`);
+  if (profile.skills?.length > 0) lines.push(`- **Skills:** ${profile.skills.slice(0, 10).join(', ')}`);
+  if (profile.public_identifier) lines.push(`- **LinkedIn:** https://www.linkedin.com/in/${profile.public_identifier}`);
+  return lines.join('\n');
+}
+
+export function digestCompanyProfile(profile) {
+  const lines = [`${bold(companyName(profile))}${profile.tagline ? ` — ${profile.tagline}` : ''}`];
+  if (profile.industry) lines.push(`- **Industry:** ${profile.industry}`);
+  const [minSize, maxSize] = profile.company_size || [];
+  const sizeBand = minSize ? (maxSize ? `${minSize}-${maxSize}` : `${minSize}+`) : null;
+  const onLinkedIn = Number.isFinite(profile.company_size_on_linkedin) ? `${profile.company_size_on_linkedin} on LinkedIn` : null;
+  if (sizeBand || onLinkedIn) lines.push(`- **Size:** ${[sizeBand && `${sizeBand} employees`, onLinkedIn].filter(Boolean).join(', ')}`);
+  const hq = profile.hq ? [profile.hq.city, profile.hq.country].filter(Boolean).join(', ') : '';
+  if (hq) lines.push(`- **Headquarters:** ${hq}`);
+  if (profile.founded_year) lines.push(`- **Founded:** ${profile.founded_year}`);
+  if (profile.website) lines.push(`- **Website:** ${profile.website}`);
+  if (profile.specialities?.length > 0) lines.push(`- **Specialities:** ${profile.specialities.slice(0, 8).join(', ')}`);
+  return lines.join('\n');
+}
+
+export function digestLookupResult(result) {
+  if (!result.url) {
+    return 'No matching LinkedIn profile was found.';
+  }
+  return `**Best match:** ${result.url}${result.profile ? `\n\n${digestPersonProfile(result.profile)}` : ''}`;
+}
+
+export function digestEmployeeList(result) {
+  return describeSearch(result, 'employees', ['employee'], profile => describePerson(profile, bold));
+}
+
+export function digestPersonSearch(result) {
+  return result.error || describeSearch(result, 'results', ['person', 'people'], profile => describePerson(profile, bold));
+}
+
+export function digestCompanySearch(result) {
+  return describeSearch(result, 'results', ['company', 'companies'], profile => describeCompany(profile, bold));
+}
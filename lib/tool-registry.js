@@ -0,0 +1,103 @@
+/**
+ * Tool registry
+ * Every MCP tool is declared once: its name, description, input and output schemas, the Proxycurl request it
+ * sends (which is what dry runs show and costs are estimated from), its handler and its output formatters.
+ * The tool list, argument validation and call dispatch are generated from the registry. Tools can be switched
+ * off in configuration.
+ */
+
+import { createArgumentSchema } from './argument-validation.js';
+
+// A tool declaration:
+// {
+//   name, description, inputSchema, outputSchema,
+//   handler: async args => result,
+//   checkArguments: args => ['problem', ...],         // rules spanning several arguments, on top of inputSchema
+//   linkedinUrls: { argument: 'person' | 'company' | 'school' },  // normalized by lib/linkedin-urls.js
+//   searchExpressions: ['argument', ...],             // Boolean expressions, checked by lib/boolean-query.js
+//   buildRequest: args => { url, params } | null,   // omitted for tools that never call Proxycurl
+//   pagination: { resultsKey, urlKey },              // search tools that support max_results
+//   summaryFields: ['dot.path', ...],                // kept by response_mode 'summary'
+//   format: { summary, digest, markdown }            // result => text; missing ones fall back to the summary
+// }
+const REQUIRED_KEYS = ['name', 'description', 'inputSchema', 'handler'];
+
+// Command line flag, environment variable and config file key (under `tools`) of each selection setting
+export const TOOL_SELECTION_SETTINGS = [
+  { key: 'enabled', flag: '--enable-tools', env: 'PROXYCURL_ENABLED_TOOLS' },
+  { key: 'disabled', flag: '--disable-tools', env: 'PROXYCURL_DISABLED_TOOLS' }
+];
+
+function parseToolNames(raw, source) {
+  const names = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+  if (!names || names.some(name => typeof name !== 'string')) {
+    throw new Error(`${source} must be a comma separated list or an array of tool names`);
+  }
+  return names.map(name => name.trim()).filter(Boolean);
+}
+
+// Resolve which tools to offer: `enabled` (only these, null for all) and `disabled` (all but these). Each comes
+// from its flag, else its environment variable, else the config file's `tools` object.
+export function resolveToolSelection({ getFlag = () => null, env = process.env, file = {} } = {}) {
+  const fileTools = file.tools || {};
+  if (typeof fileTools !== 'object' || Array.isArray(fileTools)) {
+    throw new Error('tools in the config file must be an object with "enabled" and/or "disabled" lists');
+  }
+  const selection = { enabled: null, disabled: [] };
+  for (const { key, flag, env: envVar } of TOOL_SELECTION_SETTINGS) {
+    const raw = getFlag(flag) ?? env[envVar];
+    if (raw !== undefined && raw !== null && raw !== '') {
+      selection[key] = parseToolNames(raw, `${flag} / ${envVar}`);
+    } else if (fileTools[key] !== undefined) {
+      selection[key] = parseToolNames(fileTools[key], `tools.${key} in the config file`);
+    }
+  }
+  return selection;
+}
+
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    this.disabled = new Set();
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  register(tool) {
+    const missing = REQUIRED_KEYS.filter(key => !tool[key]);
+    if (missing.length > 0) {
+      throw new Error(`Tool '${tool.name || '(unnamed)'}' is missing ${missing.join(', ')}`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is registered twice`);
+    }
+    this.tools.set(tool.name, { format: {}, ...tool, argumentSchema: createArgumentSchema(tool.inputSchema) });
+    return this;
+  }
+
+  // Apply a selection from resolveToolSelection. Throws for tool names that are not registered.
+  configure({ enabled = null, disabled = [] } = {}) {
+    const unknown = [...(enabled || []), ...disabled].filter(name => !this.tools.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tool(s) in the tool selection: ${unknown.join(', ')}. Available tools: ${[...this.tools.keys()].join(', ')}`);
+    }
+    this.disabled = new Set([...this.tools.keys()].filter(name => (enabled && !enabled.includes(name)) || disabled.includes(name)));
+  }
+
+  // The declaration of an enabled tool, or null
+  get(name) {
+    return this.tools.has(name) && !this.disabled.has(name) ? this.tools.get(name) : null;
+  }
+
+  isDisabled(name) {
+    return this.disabled.has(name);
+  }
+
+  // Enabled tools as advertised to MCP clients
+  list() {
+    return [...this.tools.values()]
+      .filter(tool => !this.disabled.has(tool.name))
+      .map(({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, ...(outputSchema ? { outputSchema } : {}) }));
+  }
+}
@@ -11,8 +11,40 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import { CallToolRequestSchema, ListToolsRequestSchema, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 import { createInterface } from "readline";
 import axios from "axios";
+import { AsyncLocalStorage } from "async_hooks";
+import { homedir } from "os";
 import { fileURLToPath } from "url";
-import { dirname, resolve } from "path";
+import { dirname, resolve, join } from "path";
+import { getEndpointName, normalizeRequest } from "./lib/endpoints.js";
+import { CACHE_MODES, ResponseCache, parseCacheTtls } from "./lib/response-cache.js";
+import { estimatePaginatedCost, estimateRequestCost } from "./lib/credit-costs.js";
+import { CreditBudget } from "./lib/credit-budget.js";
+import { CreditBalanceTracker } from "./lib/credit-balance.js";
+import { RequestLedger, formatLedgerSummary, readLedgerEntries, redactParams, summarizeLedger } from "./lib/request-ledger.js";
+import { FixtureStore } from "./lib/fixtures.js";
+import { CursorStore } from "./lib/cursor-store.js";
+import { isLoopbackHost, startHttpTransport } from "./lib/http-transport.js";
+import { DEFAULT_NETWORK_CONFIG, createHttpOptions, loadConfigFile, redactProxyUrl, resolveNetworkConfig } from "./lib/config.js";
+import { calculateBackoffDelay, getRetryPolicy, getServerRetryDelay, resolveRetryPolicies } from "./lib/retry-policy.js";
+import { CircuitBreaker } from "./lib/circuit-breaker.js";
+import { ERROR_CODES, classifyProxycurlError, isInsufficientCreditsError } from "./lib/error-taxonomy.js";
+import { DEFAULT_MAX_CONCURRENT_REQUESTS, DEFAULT_MAX_QUEUED_REQUESTS, RequestQueueFullError, RequestScheduler, parseRateLimits } from "./lib/rate-limiter.js";
+import {
+  PERSON_PROFILE_SCHEMA, COMPANY_PROFILE_SCHEMA, LOOKUP_RESULT_SCHEMA, EMPLOYEE_LIST_SCHEMA, PERSON_SEARCH_SCHEMA,
+  COMPANY_SEARCH_SCHEMA, RESET_SEARCH_STATE_SCHEMA, CREDIT_BALANCE_SCHEMA, API_KEY_TEST_SCHEMA,
+  summarizePersonProfile, summarizeCompanyProfile, summarizeLookupResult, summarizeEmployeeList, summarizePersonSearch,
+  summarizeCompanySearch, summarizeCreditBalance, summarizeDryRun, summarizeMessage, withDryRunPlan,
+  digestPersonProfile, digestCompanyProfile, digestLookupResult, digestEmployeeList, digestPersonSearch, digestCompanySearch
+} from "./lib/tool-output.js";
+import { RESPONSE_MODES, compactResult, parseFieldPaths, projectFields } from "./lib/response-shaping.js";
+import {
+  OUTPUT_FORMATS, renderPersonProfile, renderCompanyProfile, renderLookupResult, renderEmployeeList, renderPersonSearch,
+  renderCompanySearch
+} from "./lib/markdown.js";
+import { ToolRegistry, resolveToolSelection } from "./lib/tool-registry.js";
+import { exactlyOneOf, validateArguments } from "./lib/argument-validation.js";
+import { normalizeLinkedInArguments, parseLinkedInUrl } from "./lib/linkedin-urls.js";
+import { MAX_EXPRESSION_LENGTH, STRUCTURED_QUERY_SCHEMA, normalizeSearchExpressions, unescapeQuotes } from "./lib/boolean-query.js";
 
 // Get the directory of the current script
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +54,24 @@ const __dirname = dirname(__filename);
 const args = process.argv.slice(2);
 let apiKey = null;
 
+// Directory for data the server keeps between restarts (response cache, ledgers)
+const DATA_DIR = resolve(getArgValue('--data-dir') || process.env.PROXYCURL_MCP_HOME || join(homedir(), '.proxycurl-mcp'));
+
+// Request ledger: every outbound Proxycurl request is appended as a JSON line
+const LEDGER_FILE = resolve(getArgValue('--ledger-file') || process.env.PROXYCURL_LEDGER_FILE || join(DATA_DIR, 'requests.jsonl'));
+const LEDGER_MAX_FILES = getNumericSetting('--ledger-max-files', 'PROXYCURL_LEDGER_MAX_FILES') ?? 5;
+
+// `proxycurl-mcp ledger summary` prints spend per day and tool from the ledger and exits (no API key needed)
+if (args[0] === 'ledger') {
+  if (args[1] !== 'summary') {
+    console.error('Usage: proxycurl-mcp ledger summary [--since YYYY-MM-DD] [--json] [--ledger-file <path>]');
+    process.exit(1);
+  }
+  const rows = summarizeLedger(await readLedgerEntries(LEDGER_FILE, LEDGER_MAX_FILES), { since: getArgValue('--since') });
+  console.log(hasArg('--json') ? JSON.stringify(rows, null, 2) : formatLedgerSummary(rows));
+  process.exit(0);
+}
+
 // Check for API key in command line arguments
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--api-key' && i + 1 < args.length) {
@@ -39,6 +89,20 @@ if (!apiKey) {
   }
 }
 
+// Record/replay fixtures: --record <dir> saves every response, --replay <dir> serves them without network access
+const RECORD_DIR = getArgValue('--record') || process.env.PROXYCURL_RECORD_DIR || null;
+const REPLAY_DIR = getArgValue('--replay') || process.env.PROXYCURL_REPLAY_DIR || null;
+if (RECORD_DIR && REPLAY_DIR) {
+  safeLog('error', 'ERROR: --record and --replay cannot be used together');
+  process.exit(1);
+}
+
+// Replayed responses never reach Proxycurl, so no real API key is needed
+if (!apiKey && REPLAY_DIR) {
+  apiKey = 'offline-replay-placeholder-key';
+  safeLog('info', 'Replay mode: using a placeholder API key');
+}
+
 // Final check for API key
 if (!apiKey) {
   safeLog('error', `
@@ -62,31 +126,285 @@ Options to provide the API key:
   process.exit(1);
 }
 
+// Network settings (base URL, timeouts, proxy, CA bundle), retry policies and the tool selection: flags win over
+// environment variables, which win over the config file (--config, PROXYCURL_MCP_CONFIG, or <data dir>/config.json)
+const explicitConfigFile = getArgValue('--config') || process.env.PROXYCURL_MCP_CONFIG || null;
+const CONFIG_FILE = resolve(explicitConfigFile || join(DATA_DIR, 'config.json'));
+let networkConfig;
+let httpOptions;
+let retryPolicies;
+let toolSelection;
+try {
+  const fileConfig = await loadConfigFile(CONFIG_FILE, { required: Boolean(explicitConfigFile) });
+  networkConfig = resolveNetworkConfig({ getFlag: getArgValue, env: process.env, file: fileConfig });
+  httpOptions = await createHttpOptions(networkConfig);
+  retryPolicies = resolveRetryPolicies({ getFlag: getArgValue, env: process.env, file: fileConfig });
+  toolSelection = resolveToolSelection({ getFlag: getArgValue, env: process.env, file: fileConfig });
+} catch (error) {
+  safeLog('error', `ERROR: ${error.message}`);
+  process.exit(1);
+}
+
 // Base URL for Proxycurl API
-const PROXYCURL_API_BASE = "https://nubela.co/proxycurl/api";
+const PROXYCURL_API_BASE = networkConfig.base_url;
+if (PROXYCURL_API_BASE !== DEFAULT_NETWORK_CONFIG.base_url) {
+  safeLog('info', `Using Proxycurl API base URL ${PROXYCURL_API_BASE}`);
+}
+if (networkConfig.proxy) {
+  safeLog('info', `Using proxy ${redactProxyUrl(networkConfig.proxy)}`);
+}
+
+// Response cache configuration. Recording and replaying fixtures bypass the cache so every request is seen.
+let responseCache = null;
+if (hasArg('--no-cache') || process.env.PROXYCURL_CACHE_DISABLED === 'true' || RECORD_DIR || REPLAY_DIR) {
+  safeLog('info', 'Response cache disabled');
+} else {
+  try {
+    const ttlSettings = [process.env.PROXYCURL_CACHE_TTLS, ...getArgValues('--cache-ttl')].filter(Boolean);
+    responseCache = new ResponseCache({
+      dir: resolve(getArgValue('--cache-dir') || process.env.PROXYCURL_CACHE_DIR || join(DATA_DIR, 'cache')),
+      ttls: parseCacheTtls(ttlSettings),
+      log: safeLog
+    });
+    safeLog('info', `Response cache enabled in ${responseCache.dir}`, responseCache.ttls);
+  } catch (error) {
+    safeLog('error', `Invalid cache configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Credit budget configuration. Without any limit set, no budget is enforced.
+const maxCreditsPerSession = getNumericSetting('--max-credits-per-session', 'PROXYCURL_MAX_CREDITS_PER_SESSION');
+const maxCreditsPerDay = getNumericSetting('--max-credits-per-day', 'PROXYCURL_MAX_CREDITS_PER_DAY');
+const creditBudget = maxCreditsPerSession === null && maxCreditsPerDay === null ? null : new CreditBudget({
+  maxPerSession: maxCreditsPerSession,
+  maxPerDay: maxCreditsPerDay,
+  ledgerFile: join(DATA_DIR, 'credit-budget.json'),
+  log: safeLog
+});
+
+// Dry-run mode: every tool call only reports the request it would send and its estimated cost
+const DRY_RUN_MODE = hasArg('--dry-run') || process.env.PROXYCURL_DRY_RUN === 'true';
+if (DRY_RUN_MODE) {
+  safeLog('info', 'Dry-run mode enabled: no requests will be sent to Proxycurl');
+}
+
+// Replayed requests are not real spend, so they are kept out of the ledger
+let requestLedger = null;
+if (hasArg('--no-ledger') || process.env.PROXYCURL_LEDGER_DISABLED === 'true' || REPLAY_DIR) {
+  safeLog('info', 'Request ledger disabled');
+} else {
+  requestLedger = new RequestLedger({
+    file: LEDGER_FILE,
+    maxBytes: (getNumericSetting('--ledger-max-mb', 'PROXYCURL_LEDGER_MAX_MB') ?? 10) * 1024 * 1024,
+    maxFiles: LEDGER_MAX_FILES,
+    log: safeLog
+  });
+  safeLog('info', `Recording requests to ${LEDGER_FILE}`);
+}
+
+let fixtureStore = null;
+if (RECORD_DIR || REPLAY_DIR) {
+  fixtureStore = new FixtureStore({ dir: resolve(RECORD_DIR || REPLAY_DIR), log: safeLog });
+  safeLog('info', `${RECORD_DIR ? 'Recording fixtures to' : 'Replaying fixtures from'} ${fixtureStore.dir}`);
+}
+
+// Pagination cursors for search results. Kept in memory unless --persist-cursors stores them in the data dir.
+const cursorStore = new CursorStore({
+  ttlSeconds: getNumericSetting('--cursor-ttl', 'PROXYCURL_CURSOR_TTL') ?? 3600,
+  maxEntries: getNumericSetting('--max-cursors', 'PROXYCURL_MAX_CURSORS') ?? 1000,
+  file: hasArg('--persist-cursors') || process.env.PROXYCURL_PERSIST_CURSORS === 'true' ? join(DATA_DIR, 'cursors.json') : null,
+  log: safeLog
+});
+
+// Proactive rate limiting: a token bucket per endpoint family and a bounded queue of in-flight requests.
+// Replayed fixtures never reach the network, so they are not limited.
+let requestScheduler = null;
+if (hasArg('--no-rate-limit') || process.env.PROXYCURL_RATE_LIMIT_DISABLED === 'true' || REPLAY_DIR) {
+  safeLog('info', 'Rate limiting disabled');
+} else {
+  try {
+    const limitSettings = [process.env.PROXYCURL_RATE_LIMITS, ...getArgValues('--rate-limit')].filter(Boolean);
+    requestScheduler = new RequestScheduler({
+      limits: parseRateLimits(limitSettings),
+      maxConcurrent: getNumericSetting('--max-concurrent-requests', 'PROXYCURL_MAX_CONCURRENT_REQUESTS') ?? DEFAULT_MAX_CONCURRENT_REQUESTS,
+      maxQueued: getNumericSetting('--max-queued-requests', 'PROXYCURL_MAX_QUEUED_REQUESTS') ?? DEFAULT_MAX_QUEUED_REQUESTS,
+      log: safeLog
+    });
+    safeLog('info', 'Rate limiting enabled', requestScheduler.getStatus());
+  } catch (error) {
+    safeLog('error', `Invalid rate limit configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Circuit breaker: after repeated upstream failures on an endpoint, or once the account is out of credits,
+// calls fail fast until a trial request succeeds after the cooldown. A threshold of 0 disables it.
+let circuitBreaker = null;
+const circuitFailureThreshold = getNumericSetting('--circuit-failure-threshold', 'PROXYCURL_CIRCUIT_FAILURE_THRESHOLD') ?? 5;
+if (circuitFailureThreshold === 0 || REPLAY_DIR) {
+  safeLog('info', 'Circuit breaker disabled');
+} else {
+  circuitBreaker = new CircuitBreaker({
+    failureThreshold: circuitFailureThreshold,
+    cooldownSeconds: getNumericSetting('--circuit-cooldown', 'PROXYCURL_CIRCUIT_COOLDOWN') ?? 30,
+    log: safeLog
+  });
+}
+
+// Transport: stdio (default, one local client) or http (Streamable HTTP + SSE, shared by several clients)
+const TRANSPORT = getArgValue('--transport') || process.env.PROXYCURL_MCP_TRANSPORT || 'stdio';
+if (!['stdio', 'http'].includes(TRANSPORT)) {
+  safeLog('error', `ERROR: Unknown transport '${TRANSPORT}'. Use 'stdio' or 'http'`);
+  process.exit(1);
+}
+const HTTP_HOST = getArgValue('--host') || process.env.PROXYCURL_MCP_HOST || '127.0.0.1';
+const HTTP_PORT = getNumericSetting('--port', 'PROXYCURL_MCP_PORT') ?? 3000;
+const HTTP_AUTH_TOKEN = getArgValue('--auth-token') || process.env.PROXYCURL_MCP_AUTH_TOKEN || null;
+if (TRANSPORT === 'http' && !HTTP_AUTH_TOKEN) {
+  // Anyone who can reach the port could spend the Proxycurl credits, so only loopback may go without a token
+  if (!isLoopbackHost(HTTP_HOST)) {
+    safeLog('error', `ERROR: --auth-token (or PROXYCURL_MCP_AUTH_TOKEN) is required when binding the HTTP transport to ${HTTP_HOST}`);
+    process.exit(1);
+  }
+  safeLog('warn', 'WARNING: HTTP transport running without --auth-token; any local process can use it');
+}
+
+// Per-tool-call state (tool name, cache mode, metadata collected while the call runs).
+// Using AsyncLocalStorage keeps concurrent tool calls from seeing each other's state.
+const callContext = new AsyncLocalStorage();
+
+// Cursors are scoped to the MCP session that created them (stdio has a single, unnamed session)
+function getCursorScope() {
+  return callContext.getStore()?.sessionId || 'stdio';
+}
+
+// The current tool call's cancellation signal (aborted when the client cancels the request), or null
+function getCallSignal() {
+  return callContext.getStore()?.signal || null;
+}
+
+// Unwinds a cancelled tool call. The SDK sends no response to a cancelled request, so the client never sees
+// this error; it carries the code the SDK itself uses for cancelled requests.
+function createCancellationError() {
+  return new MCPError(ErrorCode.ConnectionClosed, 'The tool call was cancelled by the client. No further requests were sent to Proxycurl.');
+}
+
+// Stop work for a tool call the client has cancelled
+function throwIfCancelled() {
+  if (getCallSignal()?.aborted) {
+    throw createCancellationError();
+  }
+}
+
+// Wait, unless the tool call is cancelled first
+function sleep(ms) {
+  const signal = getCallSignal();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancellationError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancellationError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Send an MCP progress notification for the current tool call, if the client asked for them with a progress
+// token. Progress is counted in steps (pages for auto-pagination, out of `total` when it is known); `fraction`
+// places an update inside the step in progress, such as a retry wait. The reported value always increases,
+// as the protocol requires.
+function reportProgress(message, fraction = 0) {
+  const context = callContext.getStore();
+  const progress = context?.progress;
+  if (!progress) {
+    return;
+  }
+  let value = progress.completed + fraction;
+  if (value <= progress.sent) {
+    value = progress.sent + (progress.completed + 1 - progress.sent) / 2;
+  }
+  progress.sent = value;
+
+  const params = { progressToken: progress.token, progress: value, message };
+  if (progress.total !== null) {
+    params.total = progress.total;
+  }
+  progress.sendNotification({ method: 'notifications/progress', params })
+    .catch(error => safeLog('warn', `Could not send a progress notification: ${error.message}`));
+}
+
+// Credits spent so far by the current tool call, for progress messages
+function describeCreditsSpent() {
+  const spent = callContext.getStore()?.creditsSpent || 0;
+  return `${spent} credit${spent === 1 ? '' : 's'} spent so far`;
+}
 
 // Custom MCP Error Class
 class MCPError extends Error {
-  constructor(code, message) {
+  constructor(code, message, data = undefined) {
     super(message);
     this.code = code;
     this.name = "MCPError";
+    // The error classification. A tool call failing with one is answered with an isError tool result
+    // carrying the code and classification (see buildErrorResult) instead of a JSON-RPC error.
+    if (data !== undefined) {
+      this.data = data;
+    }
+  }
+}
+
+// Error data of an only_cache call that found no fresh cached response
+function createCacheMissData(endpoint) {
+  return { type: 'cache_miss', retryable: false, request_sent: false, endpoint, hint: "Call again with cache_mode 'prefer_cache' to fetch the data from Proxycurl (spends credits)." };
+}
+
+// Turn a failed Proxycurl request into an MCPError. The message leads with what was attempted; the error
+// classification (from makeRequestWithRetry, or computed here) goes along as the error's data.
+function createApiError(error, action) {
+  const classification = error.classification || classifyProxycurlError(error);
+  return new MCPError(ERROR_CODES[classification.type], `${action}: ${classification.message}`, classification);
+}
+
+// Helpers for reading command line flags
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+function getArgValues(flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag && i + 1 < args.length) {
+      values.push(args[i + 1]);
+    }
   }
+  return values;
 }
 
-// Helper function to map HTTP status codes to MCP error codes
-function getMcpErrorCode(httpStatus) {
-  if (!httpStatus) return ErrorCode.INTERNAL; // Default if status is unknown
-  if (httpStatus >= 500) return ErrorCode.INTERNAL;
-  switch (httpStatus) {
-    case 400: return ErrorCode.INVALID_ARGUMENT;
-    case 401: return ErrorCode.UNAUTHENTICATED;
-    case 403: return ErrorCode.PERMISSION_DENIED;
-    case 404: return ErrorCode.NOT_FOUND;
-    case 422: return ErrorCode.INVALID_ARGUMENT; // Unprocessable Entity, often due to bad input
-    case 429: return ErrorCode.RESOURCE_EXHAUSTED; // Rate limit
-    default: return ErrorCode.UNKNOWN; // Or ErrorCode.INTERNAL for unmapped client errors
+function hasArg(flag) {
+  return args.includes(flag);
+}
+
+// Read a non-negative number from a flag or environment variable (flag wins). Returns null when unset.
+function getNumericSetting(flag, envVar) {
+  const raw = getArgValue(flag) ?? process.env[envVar];
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
   }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    safeLog('error', `Invalid value '${raw}' for ${flag} / ${envVar}: expected a non-negative number`);
+    process.exit(1);
+  }
+  return value;
 }
 
 // Helper function for logging that won't interfere with MCP JSON communication
@@ -104,22 +422,33 @@ function safeLog(type, message, data = null) {
   }
 }
 
-// Create MCP server
-const server = new Server(
-  { name: "curl-mcp", version: "1.0.0" },
-  {
-    description: "LinkedIn data search. Allows retrieving detailed LinkedIn profile data for people and companies, as well as searching for professionals and organizations. ",
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+// Create an MCP server with the tool handlers registered. Stdio uses one; the HTTP transport creates one per
+// client session, all sharing the same Proxycurl client, cache and credit budgets.
+function createMcpServer() {
+  const server = new Server(
+    { name: "curl-mcp", version: "1.0.0" },
+    {
+      description: "LinkedIn data search. Allows retrieving detailed LinkedIn profile data for people and companies, as well as searching for professionals and organizations. ",
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  return server;
+}
 
 // ProxycurlClient class to handle API requests
 class ProxycurlClient {
-  constructor(apiKey) {
+  constructor(apiKey, { cache = null, ledger = null, cursors = null, scheduler = null, retryPolicies = null, circuitBreaker = null, fixtures = null, fixtureMode = null, http = {} } = {}) {
     this.apiKey = apiKey;
-    this.nextPageSearchPeopleUrl = null; // State for search_people pagination
+    this.cache = cache;
+    this.ledger = ledger;
+    this.scheduler = scheduler; // Rate limiter and request queue, if enabled
+    this.retryPolicies = retryPolicies || resolveRetryPolicies({ env: {} });
+    this.circuitBreaker = circuitBreaker; // Fails fast while an endpoint keeps failing, if enabled
+    this.cursors = cursors || new CursorStore(); // Pagination state for search results
     
     if (!apiKey || apiKey.trim() === '') {
       safeLog('error', "ERROR: No API key provided or API key is empty");
@@ -135,13 +464,22 @@ class ProxycurlClient {
       safeLog('warn', `WARNING: API key seems unusually short (${apiKey.length} chars). Proxycurl API keys are typically 20+ characters.`);
     }
     
-    // Configure axios with default headers
+    // Configure axios with default headers. The network options (timeouts, proxy and CA agents) apply to
+    // every request made through this instance, including next_page and API key validation requests.
     this.axiosInstance = axios.create({
+      ...http,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`
       }
     });
     
+    // Serve responses from recorded fixtures, or record every response we receive
+    if (fixtures && fixtureMode === 'replay') {
+      this.axiosInstance.defaults.adapter = fixtures.createReplayAdapter();
+    } else if (fixtures && fixtureMode === 'record') {
+      fixtures.attachRecorder(this.axiosInstance);
+    }
+    
     // Add request interceptor for logging
     this.axiosInstance.interceptors.request.use(function (config) {
       safeLog('info', `Making request to: ${config.url}`);
@@ -153,16 +491,29 @@ class ProxycurlClient {
     });
   }
 
+  // Build the minimal request validateApiKey uses to check the API key
+  buildApiKeyValidationRequest() {
+    return {
+      url: `${PROXYCURL_API_BASE}/v2/linkedin`,
+      params: {
+        url: 'https://www.linkedin.com/in/williamhgates/' // Using a known public profile for testing
+      }
+    };
+  }
+
   // Add API key validation method
   async validateApiKey() {
     safeLog('info', 'Validating API key with a simple request...');
     try {
       // Test with a minimal request to check API key validity
-      const response = await this.axiosInstance.get(`${PROXYCURL_API_BASE}/v2/linkedin`, {
-        params: {
-          url: 'https://www.linkedin.com/in/williamhgates/' // Using a known public profile for testing
-        }
+      const { url, params } = this.buildApiKeyValidationRequest();
+      const startedAt = Date.now();
+      const response = await this.sendRequest(url, params).catch(error => {
+        this.recordLedgerEntry(url, params, { startedAt, attempts: 1, error });
+        throw error;
       });
+      this.recordCreditUsage(url, params, response);
+      this.recordLedgerEntry(url, params, { startedAt, attempts: 1, response });
       
       safeLog('info', 'API key validation successful');
       return { valid: true, message: 'API key is valid' };
@@ -208,17 +559,22 @@ class ProxycurlClient {
     }
   }
 
+  // Build the URL and params getPersonProfile sends, without sending anything
+  buildPersonProfileRequest(url, options = {}) {
+    // Build parameters object with all supported options
+    const params = {
+      url: url,
+      ...options // This allows passing any of the optional parameters
+    };
+    return { url: `${PROXYCURL_API_BASE}/v2/linkedin`, params };
+  }
+
   async getPersonProfile(url, options = {}) {
     safeLog('info', `Fetching person profile for ${url} with options: ${JSON.stringify(options)}`);
     try {
-      // Build parameters object with all supported options
-      const params = {
-        url: url,
-        ...options // This allows passing any of the optional parameters
-      };
+      const { url: requestUrl, params } = this.buildPersonProfileRequest(url, options);
       
       // Log the full request URL and parameters for debugging
-      const requestUrl = `${PROXYCURL_API_BASE}/v2/linkedin`;
       safeLog('info', `DEBUG: Person profile URL: ${requestUrl}`);
       safeLog('info', `DEBUG: Person profile params: ${JSON.stringify(params)}`);
       
@@ -230,34 +586,40 @@ class ProxycurlClient {
       return response.data;
     } catch (error) {
       safeLog('error', "Error fetching person profile:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
       if (error.response) {
         safeLog('error', "Response status:", error.response.status);
         safeLog('error', "Response headers:", JSON.stringify(error.response.headers));
         safeLog('error', "Response data:", JSON.stringify(error.response.data));
-        const mcpCode = getMcpErrorCode(error.response.status);
-        const apiMessage = error.response.data?.detail || error.response.data?.message || error.message;
-        throw new MCPError(mcpCode, `Failed to fetch LinkedIn profile for URL '${url}': ${apiMessage}`);
+        throw createApiError(error, `Failed to fetch LinkedIn profile for URL '${url}'`);
       } else if (error.request) {
-        safeLog('error', "No response received. Request:", error.request);
-        throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to fetch LinkedIn profile for URL '${url}': No response from server.`);
+        safeLog('error', "No response received:", error.code || error.message);
+        throw createApiError(error, `Failed to fetch LinkedIn profile for URL '${url}'`);
       } else {
         safeLog('error', "Error setting up request:", error.message);
-        throw new MCPError(ErrorCode.INTERNAL, `Failed to fetch LinkedIn profile for URL '${url}': ${error.message}`);
+        throw new MCPError(ErrorCode.InternalError, `Failed to fetch LinkedIn profile for URL '${url}': ${error.message}`);
       }
     }
   }
 
+  // Build the URL and params getCompanyProfile sends, without sending anything
+  buildCompanyProfileRequest(url, options = {}) {
+    // Build parameters object with all supported options from the curl example
+    const params = {
+      url: url,
+      ...options // This allows passing any of the optional parameters
+    };
+    return { url: `${PROXYCURL_API_BASE}/linkedin/company`, params };
+  }
+
   async getCompanyProfile(url, options = {}) {
     safeLog('info', `Fetching company profile for ${url} with options: ${JSON.stringify(options)}`);
     try {
-      // Build parameters object with all supported options from the curl example
-      const params = {
-        url: url,
-        ...options // This allows passing any of the optional parameters
-      };
+      const { url: requestUrl, params } = this.buildCompanyProfileRequest(url, options);
       
       // Log the full request URL and parameters for debugging
-      const requestUrl = `${PROXYCURL_API_BASE}/linkedin/company`;
       safeLog('info', `DEBUG: Company profile URL: ${requestUrl}`);
       safeLog('info', `DEBUG: Company profile params: ${JSON.stringify(params)}`);
       
@@ -269,21 +631,60 @@ class ProxycurlClient {
       return response.data;
     } catch (error) {
       safeLog('error', "Error fetching company profile:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
       if (error.response) {
         safeLog('error', "Response status:", error.response.status);
         safeLog('error', "Response headers:", JSON.stringify(error.response.headers));
         safeLog('error', "Response data:", JSON.stringify(error.response.data));
-        const mcpCode = getMcpErrorCode(error.response.status);
-        const apiMessage = error.response.data?.detail || error.response.data?.message || error.message;
-        throw new MCPError(mcpCode, `Failed to fetch company profile for URL '${url}': ${apiMessage}`);
+        throw createApiError(error, `Failed to fetch company profile for URL '${url}'`);
       } else if (error.request) {
-        safeLog('error', "No response received. Request:", error.request);
-        throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to fetch company profile for URL '${url}': No response from server.`);
+        safeLog('error', "No response received:", error.code || error.message);
+        throw createApiError(error, `Failed to fetch company profile for URL '${url}'`);
       } else {
         safeLog('error', "Error setting up request:", error.message);
-        throw new MCPError(ErrorCode.INTERNAL, `Failed to fetch company profile for URL '${url}': ${error.message}`);
+        throw new MCPError(ErrorCode.InternalError, `Failed to fetch company profile for URL '${url}': ${error.message}`);
+      }
+    }
+  }
+
+  // Build the URL and params lookupProfileByPersonName sends, without sending anything
+  buildLookupProfileRequest(first_name, company_domain = null, location = null, title = null, last_name = null, options = {}) {
+    // Initialize params with required first_name
+    const params = {
+      first_name: first_name,
+      similarity_checks: options.similarity_checks || 'include', // Default to include for better results
+      enrich_profile: options.enrich_profile || 'enrich' // Default to enrich for more detailed profiles
+    };
+    
+    // Add last name if available
+    if (last_name) {
+      params.last_name = last_name;
+    }
+    
+    // Add company domain if available
+    if (company_domain) {
+      // If company_domain includes a domain, use it directly
+      if (company_domain.includes('.')) {
+        params.company_domain = company_domain;
+      } else {
+        // Otherwise, use company name
+        params.company_domain = company_domain.replace('.com', '');
       }
     }
+    
+    // Add location if available
+    if (location) {
+      params.location = location;
+    }
+    
+    // Add title if available
+    if (title) {
+      params.title = title;
+    }
+
+    return { url: `${PROXYCURL_API_BASE}/linkedin/profile/resolve`, params };
   }
 
   async lookupProfileByPersonName(first_name, company_domain = null, location = null, title = null, last_name = null, options = {}) {
@@ -296,42 +697,11 @@ class ProxycurlClient {
     safeLog('info', `Looking up person: ${personInfo}, company: ${companyInfo}, location: ${locationInfo}, title: ${titleInfo}`);
     
     try {
-      // Initialize params with required first_name
-      const params = {
-        first_name: first_name,
-        similarity_checks: options.similarity_checks || 'include', // Default to include for better results
-        enrich_profile: options.enrich_profile || 'enrich' // Default to enrich for more detailed profiles
-      };
-      
-      // Add last name if available
-      if (last_name) {
-        params.last_name = last_name;
-      }
-      
-      // Add company domain if available
-      if (company_domain) {
-        // If company_domain includes a domain, use it directly
-        if (company_domain.includes('.')) {
-          params.company_domain = company_domain;
-        } else {
-          // Otherwise, use company name
-          params.company_domain = company_domain.replace('.com', '');
-        }
-      }
-      
-      // Add location if available
-      if (location) {
-        params.location = location;
-      }
-      
-      // Add title if available
-      if (title) {
-        params.title = title;
-      }
+      const { url: requestUrl, params } = this.buildLookupProfileRequest(first_name, company_domain, location, title, last_name, options);
       
       safeLog('info', "API parameters:", params);
       
-      const response = await this.makeRequestWithRetry(`${PROXYCURL_API_BASE}/linkedin/profile/resolve`, params);
+      const response = await this.makeRequestWithRetry(requestUrl, params);
       
       // Log the full JSON response with person info, not using name variable
       safeLog('info', `Person lookup response for ${personInfo}:\n${JSON.stringify(response.data, null, 2)}`);
@@ -339,34 +709,35 @@ class ProxycurlClient {
       return response.data;
     } catch (error) {
       safeLog('error', "Error looking up person:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
       if (error.response) {
         safeLog('error', "Response data:", error.response.data);
-        const mcpCode = getMcpErrorCode(error.response.status);
-        const apiMessage = error.response.data?.detail || error.response.data?.message || error.message;
         const inputSummary = `name: ${first_name || ''} ${last_name || ''}, domain: ${company_domain || 'N/A'}, location: ${location || 'N/A'}, title: ${title || 'N/A'}`.trim();
-        throw new MCPError(mcpCode, `Failed to lookup person with params (${inputSummary}): ${apiMessage}`);
+        throw createApiError(error, `Failed to lookup person with params (${inputSummary})`);
       } else if (error.request) {
-        safeLog('error', "No response received. Request:", error.request);
+        safeLog('error', "No response received:", error.code || error.message);
         const inputSummary = `name: ${first_name || ''} ${last_name || ''}, domain: ${company_domain || 'N/A'}, location: ${location || 'N/A'}, title: ${title || 'N/A'}`.trim();
-        throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to lookup person with params (${inputSummary}): No response from server.`);
+        throw createApiError(error, `Failed to lookup person with params (${inputSummary})`);
       } else {
         safeLog('error', "Error setting up request:", error.message);
         const inputSummary = `name: ${first_name || ''} ${last_name || ''}, domain: ${company_domain || 'N/A'}, location: ${location || 'N/A'}, title: ${title || 'N/A'}`.trim();
-        throw new MCPError(ErrorCode.INTERNAL, `Failed to lookup person with params (${inputSummary}): ${error.message}`);
+        throw new MCPError(ErrorCode.InternalError, `Failed to lookup person with params (${inputSummary}): ${error.message}`);
       }
     }
   }
 
-  async searchEmployees(url, options = {}) {
-    // Make sure options is an object, not a string
-    if (typeof options === 'string') {
-      try {
-        options = JSON.parse(options);
-      } catch (e) {
-        options = {};
-      }
+  // Build the URL and params searchEmployees sends, without sending anything
+  buildSearchEmployeesRequest(url, options = {}) {
+    // Continue an earlier search
+    if (options.cursor) {
+      return this.buildCursorRequest('search_employees', options.cursor);
     }
-    
+    if (!url) {
+      throw new MCPError(ErrorCode.InvalidParams, "search_employees needs either 'url' (the company's LinkedIn URL) or a 'cursor' from an earlier search_employees result");
+    }
+
     // Create a clean copy of options without undefined values
     const cleanOptions = {};
     for (const [key, value] of Object.entries(options)) {
@@ -379,45 +750,51 @@ class ProxycurlClient {
     let roleSearch = cleanOptions.role_search;
     delete cleanOptions.role_search;
     
-    // Fix escaped quotes in roleSearch if present
+    // Clients that double-encode JSON send escaped quotes
     if (roleSearch && typeof roleSearch === 'string') {
-      // Convert escaped quotes to regular quotes for the API
-      roleSearch = roleSearch.replace(/\\*"/g, '"');
+      roleSearch = unescapeQuotes(roleSearch);
       safeLog('info', `Formatted role_search for API: ${roleSearch}`);
     }
     
     // Extract keyword from options if present
     const keyword = cleanOptions.keyword || null;
     
-    safeLog('info', `Searching employees at: ${url}, role: ${roleSearch || 'any'}, keyword: ${keyword || 'none'}`);
-    safeLog('info', `Additional options: ${JSON.stringify(cleanOptions)}`);
+    // Now build the params object for the API call
+    const params = {
+      url: url // The company LinkedIn URL is required
+    };
+    
+    // Add role_search if present
+    if (roleSearch) params.role_search = roleSearch;
+    
+    // Add keyword if present
+    if (keyword) params.keyword = keyword;
+    
+    // Set page_size from options or default (using smaller size to save money)
+    params.page_size = cleanOptions.page_size || 5;
+    
+    // Support additional options directly from curl example
+    if (cleanOptions.country) params.country = cleanOptions.country;
+    if (cleanOptions.coy_name_match) params.coy_name_match = cleanOptions.coy_name_match;
+    if (cleanOptions.enrich_profiles) params.enrich_profiles = cleanOptions.enrich_profiles;
+    if (cleanOptions.employment_status) params.employment_status = cleanOptions.employment_status;
+    if (cleanOptions.sort_by) params.sort_by = cleanOptions.sort_by;
+    if (cleanOptions.resolve_numeric_id !== undefined) params.resolve_numeric_id = cleanOptions.resolve_numeric_id;
+    if (cleanOptions.use_cache) params.use_cache = cleanOptions.use_cache;
+
+    return { url: `${PROXYCURL_API_BASE}/linkedin/company/employees`, params };
+  }
+
+  async searchEmployees(url, options = {}) {
+    const { url: requestUrl, params, page = 1 } = this.buildSearchEmployeesRequest(url, options);
+    const searchInfo = params
+      ? `company URL '${url}' (role: ${options.role_search || 'any'}, keyword: ${options.keyword || 'none'})`
+      : `page ${page} of an earlier employee search`;
+    
+    safeLog('info', `Searching employees: ${searchInfo}`);
     
     try {
-      // Now build the params object for the API call
-      const params = {
-        url: url // The company LinkedIn URL is required
-      };
-      
-      // Add role_search if present
-      if (roleSearch) params.role_search = roleSearch;
-      
-      // Add keyword if present
-      if (keyword) params.keyword = keyword;
-      
-      // Set page_size from options or default (using smaller size to save money)
-      params.page_size = cleanOptions.page_size || 5;
-      
-      // Support additional options directly from curl example
-      if (cleanOptions.country) params.country = cleanOptions.country;
-      if (cleanOptions.coy_name_match) params.coy_name_match = cleanOptions.coy_name_match;
-      if (cleanOptions.enrich_profiles) params.enrich_profiles = cleanOptions.enrich_profiles;
-      if (cleanOptions.employment_status) params.employment_status = cleanOptions.employment_status;
-      if (cleanOptions.sort_by) params.sort_by = cleanOptions.sort_by;
-      if (cleanOptions.resolve_numeric_id !== undefined) params.resolve_numeric_id = cleanOptions.resolve_numeric_id;
-      if (cleanOptions.use_cache) params.use_cache = cleanOptions.use_cache;
-      
       // Log the full request URL and parameters for debugging
-      const requestUrl = `${PROXYCURL_API_BASE}/linkedin/company/employees`;
       safeLog('info', `DEBUG: Employee search URL: ${requestUrl}`);
       safeLog('info', `DEBUG: Employee search params: ${JSON.stringify(params)}`);
       
@@ -429,48 +806,156 @@ class ProxycurlClient {
         safeLog('info', `First employee: ${JSON.stringify(response.data.employees[0], null, 2)}`);
       }
       
-      return response.data;
+      // Hand out a cursor for the next page if there is one
+      return await this.withCursor('search_employees', response.data, page + 1);
     } catch (error) {
       safeLog('error', "Error searching employees:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
       if (error.response) {
         safeLog('error', "Response status:", error.response.status);
         safeLog('error', "Response headers:", JSON.stringify(error.response.headers));
         safeLog('error', "Response data:", JSON.stringify(error.response.data));
-        const mcpCode = getMcpErrorCode(error.response.status);
-        const apiMessage = error.response.data?.detail || error.response.data?.message || error.message;
-        const roleInfo = options.role_search || 'any';
-        const keywordInfo = options.keyword || 'none';
-        throw new MCPError(mcpCode, `Failed to search employees for company URL '${url}' (role: ${roleInfo}, keyword: ${keywordInfo}): ${apiMessage}`);
+        throw createApiError(error, `Failed to search employees for ${searchInfo}`);
       } else if (error.request) {
-        safeLog('error', "No response received. Request:", error.request);
-        const roleInfo = options.role_search || 'any';
-        const keywordInfo = options.keyword || 'none';
-        throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to search employees for company URL '${url}' (role: ${roleInfo}, keyword: ${keywordInfo}): No response from server.`);
+        safeLog('error', "No response received:", error.code || error.message);
+        throw createApiError(error, `Failed to search employees for ${searchInfo}`);
       } else {
         safeLog('error', "Error setting up request:", error.message);
-        const roleInfo = options.role_search || 'any';
-        const keywordInfo = options.keyword || 'none';
-        throw new MCPError(ErrorCode.INTERNAL, `Failed to search employees for company URL '${url}' (role: ${roleInfo}, keyword: ${keywordInfo}): ${error.message}`);
+        throw new MCPError(ErrorCode.InternalError, `Failed to search employees for ${searchInfo}: ${error.message}`);
+      }
+    }
+  }
+
+  // Serve a request from the response cache according to the current call's cache_mode.
+  // Returns an axios-like response on a hit, or null when the request has to go to Proxycurl.
+  async getCachedResponse(url, params) {
+    const context = callContext.getStore();
+    const cacheMode = context?.cacheMode || 'prefer_cache';
+    const endpoint = getEndpointName(url);
+
+    if (!this.cache || !this.cache.isCacheable(url)) {
+      if (cacheMode === 'only_cache') {
+        throw new MCPError(ERROR_CODES.cache_miss, `cache_mode 'only_cache' was requested but the response cache is ${this.cache ? `disabled for the ${endpoint} endpoint` : 'disabled'}.`, createCacheMissData(endpoint));
       }
+      return null;
+    }
+
+    if (cacheMode === 'bypass') {
+      context?.cacheEvents.push({ endpoint, status: 'bypass' });
+      return null;
+    }
+
+    const cached = await this.cache.get(url, params);
+    if (cached) {
+      safeLog('info', `Cache hit for ${endpoint} (${cached.ageSeconds}s old)`);
+      context?.cacheEvents.push({ endpoint, status: 'hit', age_seconds: cached.ageSeconds });
+      return { status: 200, headers: {}, data: cached.data, fromCache: true };
+    }
+
+    if (cacheMode === 'only_cache') {
+      context?.cacheEvents.push({ endpoint, status: 'miss' });
+      throw new MCPError(ERROR_CODES.cache_miss, `No fresh cached response for the ${endpoint} endpoint with these parameters (cache_mode 'only_cache'). No request was sent to Proxycurl.`, createCacheMissData(endpoint));
     }
+
+    safeLog('info', `Cache miss for ${endpoint}`);
+    context?.cacheEvents.push({ endpoint, status: 'miss' });
+    return null;
+  }
+
+  // Book the credits a request used on the current tool call. Proxycurl reports the actual cost in the
+  // X-Proxycurl-Credit-Cost header; when it is missing we fall back to our own estimate.
+  recordCreditUsage(url, params, response) {
+    const context = callContext.getStore();
+    if (!context) return;
+
+    const headerCost = Number(response?.headers?.['x-proxycurl-credit-cost']);
+    context.creditsSpent += Number.isFinite(headerCost) ? headerCost : estimateRequestCost(url, params).credits;
+  }
+
+  // Append an outbound request (after its final attempt) to the request ledger
+  recordLedgerEntry(url, params, { startedAt, attempts, response = null, error = null }) {
+    if (!this.ledger) return;
+
+    const { endpoint, params: normalizedParams } = normalizeRequest(url, params);
+    const httpResponse = response || error?.response;
+    const headerCost = Number(httpResponse?.headers?.['x-proxycurl-credit-cost']);
+
+    this.ledger.append({
+      timestamp: new Date().toISOString(),
+      tool: callContext.getStore()?.toolName || null,
+      endpoint,
+      params: redactParams(endpoint, normalizedParams),
+      status: httpResponse?.status || null,
+      error: error && !error.response ? error.message : undefined,
+      attempts,
+      latency_ms: Date.now() - startedAt,
+      estimated_credits: estimateRequestCost(url, params).credits,
+      credit_cost: Number.isFinite(headerCost) ? headerCost : null
+    });
   }
 
   // Helper method for API calls with retry logic for temporary issues
-  async makeRequestWithRetry(url, params, maxRetries = 3) {
+  async makeRequestWithRetry(url, params) {
+    const cachedResponse = await this.getCachedResponse(url, params);
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+
+    const endpoint = getEndpointName(url);
+    throwIfCancelled();
+    this.checkCircuit(endpoint);
+
+    const policy = getRetryPolicy(this.retryPolicies, url);
+    const maxRetries = policy.max_retries;
+    const startedAt = Date.now();
+    const retries = { endpoint, attempts: 0, wait_ms: 0, errors: [] };
+    let creditCheck = null; // Balance looked up after the first "Not enough credits" 403
     for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      retries.attempts = attempt;
       try {
-        const response = await this.axiosInstance.get(url, { params });
+        const response = await this.sendRequest(url, params);
+        this.circuitBreaker?.recordSuccess(endpoint);
+        this.recordCreditUsage(url, params, response);
+        this.recordLedgerEntry(url, params, { startedAt, attempts: attempt, response });
+        this.recordRetries(retries);
+        if (this.cache && this.cache.isCacheable(url)) {
+          await this.cache.set(url, params, response.data);
+        }
         return response;
       } catch (error) {
-        const isRetryableError = this.isRetryableError(error);
+        // Raised before the request was sent (e.g. the request queue is full): nothing to retry or record
+        if (error instanceof MCPError) {
+          throw error;
+        }
+        // Aborted by a client cancellation: the request may still have been billed, so it is recorded
+        if (axios.isCancel(error)) {
+          retries.errors.push('cancelled');
+          this.recordLedgerEntry(url, params, { startedAt, attempts: attempt, error });
+          throw createCancellationError();
+        }
+        if (isInsufficientCreditsError(error) && !creditCheck) {
+          creditCheck = { creditBalance: await this.fetchCreditBalance(), requiredCredits: estimateRequestCost(url, params).credits };
+        }
+        error.classification = classifyProxycurlError(error, creditCheck || {});
+        const isRetryableError = this.isRetryableError(error, policy);
         const isLastAttempt = attempt > maxRetries;
+        this.recordCircuitOutcome(endpoint, error, policy, isLastAttempt);
+        // Once the circuit has opened, further attempts would only make the caller wait
+        const delay = isRetryableError && !isLastAttempt && !this.circuitBreaker?.isOpen(endpoint)
+          ? this.calculateRetryDelay(attempt, error, policy)
+          : null;
         
-        if (isRetryableError && !isLastAttempt) {
-          const delay = this.calculateRetryDelay(attempt, error.response?.status);
+        if (delay !== null) {
           safeLog('warn', `Attempt ${attempt}/${maxRetries + 1} failed with ${error.response?.status || 'network'} error, retrying in ${delay}ms...`);
           safeLog('warn', `Error: ${error.response?.data?.description || error.message}`);
-          
-          await new Promise(resolve => setTimeout(resolve, delay));
+          retries.wait_ms += delay;
+          retries.errors.push(error.response?.status || error.code || 'network');
+          reportProgress(`${endpoint} request failed with ${error.response?.status || error.code || 'a network error'}; retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${maxRetries + 1}). ${describeCreditsSpent()}.`,
+            attempt / (maxRetries + 2));
+
+          await sleep(delay);
           continue;
         }
         
@@ -478,13 +963,107 @@ class ProxycurlClient {
         if (isLastAttempt && isRetryableError) {
           safeLog('error', `Max retries (${maxRetries}) exceeded for ${error.response?.status || 'network'} error`);
         }
+        retries.errors.push(error.response?.status || error.code || 'network');
+        this.recordLedgerEntry(url, params, { startedAt, attempts: attempt, error });
+        this.recordRetries(retries);
         throw error;
       }
     }
   }
 
-  // Determine if an error is worth retrying
-  isRetryableError(error) {
+  // Fail fast with a clear error while the endpoint's circuit (or the account-wide credits circuit) is open
+  checkCircuit(endpoint) {
+    const rejection = this.circuitBreaker?.check(endpoint);
+    if (!rejection) {
+      return;
+    }
+    // retry_in_seconds tells the client when the circuit lets a request through again
+    if (rejection.reason === 'credits') {
+      const data = { type: 'credits', retryable: false, circuit: 'open', hint: 'Add credits at https://nubela.co/proxycurl/; paid requests resume once the pause is over.', ...rejection };
+      throw new MCPError(ERROR_CODES.credits,
+        `Proxycurl account is out of credits (${rejection.last_error}). Paid requests are paused for ${rejection.retry_in_seconds}s; add credits at https://nubela.co/proxycurl/ and check the balance with get_credit_balance.`, data);
+    }
+    const data = { type: 'upstream', retryable: true, circuit: 'open', hint: `Retry in ${rejection.retry_in_seconds}s.`, ...rejection };
+    throw new MCPError(ERROR_CODES.upstream,
+      `Proxycurl ${endpoint} endpoint is unavailable after ${rejection.failures} consecutive failures (last error: ${rejection.last_error}). Failing fast; the next attempt is allowed in ${rejection.retry_in_seconds}s.`, data);
+  }
+
+  // Feed a failed attempt to the circuit breaker. Upstream failures (network errors, retryable statuses) count
+  // towards opening the endpoint's circuit; a credits 403 opens the account circuit once the balance confirms
+  // it or it persists through every retry; any other response shows the endpoint is up.
+  recordCircuitOutcome(endpoint, error, policy, isLastAttempt) {
+    if (!this.circuitBreaker || error.code === 'ERR_FIXTURE_NOT_FOUND') {
+      return;
+    }
+    const status = error.response?.status;
+    if (isInsufficientCreditsError(error)) {
+      if (isLastAttempt || error.classification?.confirmed) {
+        this.circuitBreaker.recordCreditExhaustion(`403 ${error.response.data.description}`);
+      }
+    } else if (!error.response || policy.retry_on.includes(status)) {
+      this.circuitBreaker.recordFailure(endpoint, status ? `${status} ${error.response.data?.description || error.message}` : error.code || error.message);
+    } else {
+      this.circuitBreaker.recordSuccess(endpoint);
+    }
+  }
+
+  // Look up the credit balance after a "Not enough credits" 403, to tell an empty account from a transient
+  // error. Sent once, without retries. Returns null when the balance cannot be fetched.
+  async fetchCreditBalance() {
+    const { url, params } = this.buildCreditBalanceRequest();
+    const startedAt = Date.now();
+    try {
+      const response = await this.sendRequest(url, params);
+      this.recordLedgerEntry(url, params, { startedAt, attempts: 1, response });
+      return response.data?.credit_balance ?? null;
+    } catch (error) {
+      safeLog('warn', `Could not check the credit balance after a credits 403: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Add a request that needed more than one attempt to the current tool call's retry summary
+  recordRetries(retries) {
+    const context = callContext.getStore();
+    if (context && retries.attempts > 1) {
+      context.retries.push(retries);
+    }
+  }
+
+  // Send a GET request, waiting for the rate limiter first when one is configured.
+  // Time spent waiting is added to the current tool call's metadata. Cancelling the tool call aborts the wait
+  // and the request itself.
+  async sendRequest(url, params) {
+    const signal = getCallSignal() || undefined;
+    if (!this.scheduler) {
+      return this.axiosInstance.get(url, { params, signal });
+    }
+    try {
+      return await this.scheduler.schedule(url, waitedMs => {
+        const context = callContext.getStore();
+        if (context && waitedMs > 0) {
+          context.rateLimitWaitMs += waitedMs;
+        }
+        return this.axiosInstance.get(url, { params, signal });
+      }, { signal });
+    } catch (error) {
+      if (signal?.aborted && !axios.isCancel(error)) {
+        throw createCancellationError(); // Cancelled while waiting for the rate limiter
+      }
+      if (error instanceof RequestQueueFullError) {
+        throw new MCPError(ERROR_CODES.rate_limit, error.message, { type: 'rate_limit', retryable: true, reason: 'queue_full' });
+      }
+      throw error;
+    }
+  }
+
+  // Determine if an error is worth retrying under the endpoint's retry policy
+  isRetryableError(error, policy = this.retryPolicies.default) {
+    // A request missing from the replay fixtures will never succeed
+    if (error.code === 'ERR_FIXTURE_NOT_FOUND') {
+      return false;
+    }
+
     if (!error.response) {
       // Network errors (no response) - always retry
       return true;
@@ -492,84 +1071,109 @@ class ProxycurlClient {
     
     const status = error.response.status;
     
-    // Retry on these HTTP status codes
-    if ([429, 500, 502, 503, 504].includes(status)) {
+    // Retry on the policy's status codes (429 and 5xx by default)
+    if (policy.retry_on.includes(status)) {
       return true;
     }
     
-    // Retry on 403 "not enough credits" which might be temporary
-    if (status === 403 && error.response.data?.description?.includes('Not enough credits')) {
-      return true;
+    // Retry on 403 "not enough credits" unless the credit balance confirmed the account really is short
+    if (isInsufficientCreditsError(error)) {
+      return error.classification?.retryable !== false;
     }
     
     // Don't retry on client errors (400, 401, 404, etc.) or other 403s
     return false;
   }
 
-  // Calculate retry delay with exponential backoff
-  calculateRetryDelay(attempt, statusCode) {
-    // Base delay increases exponentially: 1s, 2s, 4s, 8s...
-    let baseDelay = Math.pow(2, attempt - 1) * 1000;
-    
-    // Special handling for rate limiting (429)
-    if (statusCode === 429) {
-      // For rate limits, use longer delays: 5s, 10s, 20s, 40s...
-      baseDelay = Math.pow(2, attempt - 1) * 5000;
+  // Milliseconds to wait before the next attempt: what the server asked for (Retry-After or a rate-limit
+  // reset header), otherwise exponential backoff. Returns null when the server asks for longer than the
+  // policy's max_delay, since waiting less would only fail again.
+  calculateRetryDelay(attempt, error, policy = this.retryPolicies.default) {
+    const serverDelay = getServerRetryDelay(error.response?.headers);
+    if (serverDelay !== null) {
+      if (serverDelay > policy.max_delay * 1000) {
+        safeLog('warn', `Proxycurl asked to retry in ${Math.ceil(serverDelay / 1000)}s, longer than the ${policy.max_delay}s max_delay; not retrying`);
+        return null;
+      }
+      return serverDelay;
     }
-    
-    // Add some randomness to prevent thundering herd (±25%)
-    const jitter = baseDelay * 0.25 * (Math.random() - 0.5);
-    
-    // Cap maximum delay at 30 seconds
-    return Math.min(baseDelay + jitter, 30000);
+    return calculateBackoffDelay(policy, attempt, error.response?.status);
+  }
+
+  // Resolve the page a call continues from: an explicit cursor token, or (deprecated get_next_page flag) the
+  // latest cursor this session received for the tool. Returns null when get_next_page has nothing to continue.
+  resolveCursor(tool, { cursor, get_next_page }) {
+    if (cursor) {
+      const entry = this.cursors.get(cursor);
+      if (!entry || entry.tool !== tool) {
+        throw new MCPError(ErrorCode.InvalidParams, `Cursor '${cursor}' is unknown or has expired. Run the ${tool} search again to get a new cursor.`);
+      }
+      return { token: cursor, entry };
+    }
+    return get_next_page === true ? this.cursors.getLatest(getCursorScope(), tool) : null;
+  }
+
+  // Return a search result with a `cursor` for its next page (null on the last page)
+  async withCursor(tool, data, nextPageNumber) {
+    const cursor = data?.next_page
+      ? await this.cursors.create(getCursorScope(), { tool, url: data.next_page, page: nextPageNumber })
+      : null;
+    return { ...data, cursor };
+  }
+
+  // Build the request that continues an earlier search from one of its cursors
+  buildCursorRequest(tool, cursor) {
+    const { entry } = this.resolveCursor(tool, { cursor });
+    return { url: entry.url, params: null, page: entry.page };
+  }
+
+  // Build the URL and params search_people sends, without sending anything.
+  // Returns null when a next page is requested but no previous search left one.
+  buildSearchPeopleRequest(params) {
+    const { cursor, get_next_page, ...searchParams } = params;
+    if (cursor || get_next_page === true) {
+      const page = this.resolveCursor('search_people', { cursor, get_next_page });
+      return page ? { url: page.entry.url, params: null, page: page.entry.page } : null;
+    }
+    return { url: `${PROXYCURL_API_BASE}/v2/search/person`, params: searchParams };
   }
 
   // Modified search_people to handle initial search and pagination
   async search_people(params) {
-    const { get_next_page, ...searchParams } = params;
-
-    if (get_next_page === true) {
-      // --- Handle fetching next page --- 
-      const nextPageUrl = this.nextPageSearchPeopleUrl;
-      safeLog('info', `Fetching next page for search_people using URL: ${nextPageUrl}`);
-      if (!nextPageUrl) {
-        safeLog('warn', "No next page URL available for search_people. Call search_people without 'get_next_page: true' first.");
-        return { error: "No next page available. Please perform a new search first (call without 'get_next_page: true').", results: [] }; // Return object
+    const { cursor, get_next_page, ...searchParams } = params;
+
+    if (cursor || get_next_page === true) {
+      // --- Handle fetching the next page of an earlier search ---
+      const request = this.buildSearchPeopleRequest(params); // Throws InvalidParams for unknown or expired cursors
+      if (!request) {
+        safeLog('warn', "No cursor available for search_people. Call search_people without 'cursor' first.");
+        return { error: "No next page available. Please perform a new search first, then pass the returned 'cursor' to fetch the next page.", results: [] }; // Return object
       }
+      safeLog('info', `Fetching page ${request.page} of an earlier search_people search: ${request.url}`);
 
       try {
-        // Use axiosInstance which includes default headers (Authorization)
-        const response = await this.axiosInstance.get(nextPageUrl);
-        
+        // The cursor stays valid after a failure, so the same page can simply be requested again
+        const response = await this.makeRequestWithRetry(request.url, null);
         safeLog('info', `Next page search_people response status: ${response.status}`);
-        
-        // Update the next page URL for subsequent calls
-        this.nextPageSearchPeopleUrl = response.data.next_page || null;
-        safeLog('info', `Updated next page URL: ${this.nextPageSearchPeopleUrl}`);
-        
-        return response.data; // Return object
+        return await this.withCursor('search_people', response.data, request.page + 1);
 
       } catch (error) {
         safeLog('error', "Error fetching next page for search_people:", error.message);
-        const oldUrl = this.nextPageSearchPeopleUrl; // Store old URL before resetting
-        this.nextPageSearchPeopleUrl = null; // Reset the URL on error
+        if (error instanceof MCPError) {
+          throw error; // Already carries a specific code and message
+        }
         if (error.response) {
           safeLog('error', "Response status:", error.response.status);
           safeLog('error', "Response data:", JSON.stringify(error.response.data));
-          const detail = error.response.data?.detail || error.message;
-          const mcpCode = getMcpErrorCode(error.response.status);
-          throw new MCPError(mcpCode, `Failed to fetch next page from ${oldUrl}: ${detail} (Status: ${error.response.status})`);
-        } else {
-          throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to fetch next page from ${oldUrl}: ${error.message}`);
         }
+        throw createApiError(error, `Failed to fetch page ${request.page} of the search (the cursor is still valid and can be retried)`);
       }
 
     } else {
       // --- Handle initial search --- 
       safeLog('info', `Performing NEW search_people with params: ${JSON.stringify(searchParams)}`);
-      this.nextPageSearchPeopleUrl = null; // Reset next page URL on new search
       try {
-        const requestUrl = `${PROXYCURL_API_BASE}/v2/search/person`;
+        const { url: requestUrl } = this.buildSearchPeopleRequest(searchParams);
         safeLog('info', `DEBUG: New Search People URL: ${requestUrl}`);
         safeLog('info', `DEBUG: New Search People Params: ${JSON.stringify(searchParams)}`);
 
@@ -580,49 +1184,37 @@ class ProxycurlClient {
         safeLog('info', `New search people response:
 ${JSON.stringify(response.data, null, 2)}`);
 
-        // Store the next page URL if it exists
-        this.nextPageSearchPeopleUrl = response.data.next_page || null;
-        safeLog('info', `Stored next page URL: ${this.nextPageSearchPeopleUrl}`);
-
-        return response.data; // Return object
+        // Hand out a cursor for the next page if there is one
+        return await this.withCursor('search_people', response.data, 2);
 
       } catch (error) {
         safeLog('error', "Error performing new search_people:", error.message);
+        if (error instanceof MCPError) {
+          throw error; // Already carries a specific code and message
+        }
         if (error.response) {
           safeLog('error', "Response status:", error.response.status);
           safeLog('error', "Response data:", JSON.stringify(error.response.data));
-          const detail = error.response.data?.detail || error.message;
-          const mcpCode = getMcpErrorCode(error.response.status);
-          
-          // Provide more specific error messages for 403 responses
-          if (error.response.status === 403) {
-            const apiKeyInfo = `API key: ${this.apiKey.substring(0, 4)}...`;
-            
-            // Check for specific credit-related errors
-            if (error.response.data?.description?.includes('Not enough credits') || error.response.data?.code === 403) {
-              const enhancedMessage = `Search failed - Proxycurl returned "Not enough credits" error. This may be temporary. Try checking your credit balance and retrying the request. ${apiKeyInfo}. Original error: ${detail}`;
-              throw new MCPError(mcpCode, enhancedMessage);
-            }
-            
-            const enhancedMessage = `Failed to search people - Access Forbidden (403). This usually indicates: 1) Invalid API key, 2) Insufficient account permissions, 3) Account out of credits (possibly temporary), or 4) API key lacks access to search endpoints. Try retrying the request. ${apiKeyInfo}. Original error: ${detail}`;
-            throw new MCPError(mcpCode, enhancedMessage);
-          }
-          
-          throw new MCPError(mcpCode, `Failed to search people with params ${JSON.stringify(searchParams)}: ${detail} (Status: ${error.response.status})`);
+          throw createApiError(error, `Failed to search people with params ${JSON.stringify(searchParams)}`);
         } else if (error.request) {
-          safeLog('error', "No response received. Request:", error.request);
-          throw new MCPError(ErrorCode.UNAVAILABLE, `Failed to search people with params ${JSON.stringify(searchParams)}: No response from server.`);
+          safeLog('error', "No response received:", error.code || error.message);
+          throw createApiError(error, `Failed to search people with params ${JSON.stringify(searchParams)}`);
         } else {
-          throw new MCPError(ErrorCode.INTERNAL, `Failed to search people with params ${JSON.stringify(searchParams)}: ${error.message}`);
+          throw new MCPError(ErrorCode.InternalError, `Failed to search people with params ${JSON.stringify(searchParams)}: ${error.message}`);
         }
       }
     }
   }
 
-  async reset_search_state() {
-    safeLog('info', 'Resetting search state: Clearing next page URL.');
-    this.nextPageSearchPeopleUrl = null;
-    return { success: true, message: 'Search state reset.' }; // Return object
+
+  // Clear one pagination cursor, or all cursors created in the calling session
+  async reset_search_state({ cursor } = {}) {
+    const cleared = await this.cursors.clear(getCursorScope(), cursor || null);
+    safeLog('info', `Resetting search state: cleared ${cleared} cursor(s)`);
+    const message = cursor
+      ? (cleared ? `Cursor '${cursor}' cleared.` : `Cursor '${cursor}' was not found (it may already have expired).`)
+      : `Cleared ${cleared} pagination cursor(s) for this session.`;
+    return { success: true, cleared, message }; // Return object
   }
 
   async testApiKey() {
@@ -631,73 +1223,179 @@ ${JSON.stringify(response.data, null, 2)}`);
     return validation;
   }
 
-  async advancedSearchCompanies(filters = {}) {
-    const filterParams = { ...filters };
-    safeLog('info', `Advanced company search with filters: ${JSON.stringify(filterParams, null, 2)}`);
-    
+  // Build the URL and params getCreditBalance sends, without sending anything
+  buildCreditBalanceRequest() {
+    return { url: `${PROXYCURL_API_BASE}/credit-balance`, params: {} };
+  }
+
+  // Fetch the remaining credit balance of the account. This endpoint does not cost credits.
+  async getCreditBalance() {
+    safeLog('info', 'Fetching credit balance...');
     try {
-      // Set default page size if not provided (using smaller size to save money)
-      if (!filterParams.page_size) {
-        filterParams.page_size = 5;
-      }
-      
-      // Parameters that are valid according to the Proxycurl API docs
-      const validParams = [
-        'country', 'region', 'city', 'type', 'follower_count_min', 'follower_count_max',
-        'name', 'industry', 'employee_count_max', 'employee_count_min', 'description',
-        'founded_after_year', 'founded_before_year', 'funding_amount_max', 'funding_amount_min',
-        'funding_raised_after', 'funding_raised_before', 'public_identifier_in_list',
-        'public_identifier_not_in_list', 'page_size', 'enrich_profiles', 'use_cache'
-      ];
-      
-      // Check for any invalid parameters and log them
-      const invalidParams = Object.keys(filterParams).filter(param => !validParams.includes(param));
-      if (invalidParams.length > 0) {
-        safeLog('warn', `WARNING: The following parameters are not in the validParams list: ${invalidParams.join(', ')}`);
-      }
-      
-      // Convert limit parameter to page_size if needed
-      if (filterParams.limit && !filterParams.page_size) {
-        safeLog('info', `Converting 'limit' parameter to 'page_size'`);
-        filterParams.page_size = filterParams.limit;
-        delete filterParams.limit;
-      }
-      
-      const requestUrl = `${PROXYCURL_API_BASE}/v2/search/company`;
-      safeLog('info', `Making request to: ${requestUrl}`);
-      
-      // Make the request with retry logic
-      // Exactly matching the curl example from the docs
-      const response = await this.makeRequestWithRetry(requestUrl, filterParams);
-      
-      safeLog('info', `Advanced company search response (with ${Object.keys(filterParams).length} filters):\n${JSON.stringify(response.data, null, 2)}`);
-      
+      const { url: requestUrl, params } = this.buildCreditBalanceRequest();
+      const response = await this.makeRequestWithRetry(requestUrl, params);
+      safeLog('info', `Credit balance response: ${JSON.stringify(response.data)}`);
       return response.data;
     } catch (error) {
-      safeLog('error', "Error in advanced company search:", error.message);
+      safeLog('error', "Error fetching credit balance:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
       if (error.response) {
         safeLog('error', "Response status:", error.response.status);
-        safeLog('error', "Response headers:", JSON.stringify(error.response.headers));
+        safeLog('error', "Response data:", JSON.stringify(error.response.data));
+        throw createApiError(error, `Failed to fetch credit balance`);
+      } else if (error.request) {
+        throw createApiError(error, `Failed to fetch credit balance`);
+      } else {
+        throw new MCPError(ErrorCode.InternalError, `Failed to fetch credit balance: ${error.message}`);
+      }
+    }
+  }
+
+  // Build the URL and params advancedSearchCompanies sends, without sending anything
+  buildAdvancedSearchCompaniesRequest(filters = {}) {
+    // Continue an earlier search
+    if (filters.cursor) {
+      return this.buildCursorRequest('advanced_search_companies', filters.cursor);
+    }
+
+    const filterParams = { ...filters };
+    
+    // Set default page size if not provided (using smaller size to save money)
+    if (!filterParams.page_size) {
+      filterParams.page_size = 5;
+    }
+
+    return { url: `${PROXYCURL_API_BASE}/v2/search/company`, params: filterParams };
+  }
+
+  async advancedSearchCompanies(filters = {}) {
+    safeLog('info', `Advanced company search with filters: ${JSON.stringify(filters, null, 2)}`);
+    
+    try {
+      const { url: requestUrl, params: filterParams, page = 1 } = this.buildAdvancedSearchCompaniesRequest(filters);
+      safeLog('info', `Making request to: ${requestUrl}`);
+      
+      // Make the request with retry logic
+      // Exactly matching the curl example from the docs
+      const response = await this.makeRequestWithRetry(requestUrl, filterParams);
+      
+      safeLog('info', `Advanced company search response (page ${page}):\n${JSON.stringify(response.data, null, 2)}`);
+      
+      // Hand out a cursor for the next page if there is one
+      return await this.withCursor('advanced_search_companies', response.data, page + 1);
+    } catch (error) {
+      safeLog('error', "Error in advanced company search:", error.message);
+      if (error instanceof MCPError) {
+        throw error; // Already carries a specific code and message
+      }
+      if (error.response) {
+        safeLog('error', "Response status:", error.response.status);
+        safeLog('error', "Response headers:", JSON.stringify(error.response.headers));
         if (error.response.data) {
           safeLog('error', "Response data:", JSON.stringify(error.response.data, null, 2));
         }
-        const mcpCode = getMcpErrorCode(error.response.status);
-        const apiMessage = error.response.data?.detail || error.response.data?.message || error.message;
-        throw new MCPError(mcpCode, `Error in advanced company search with filters ${JSON.stringify(filters)}: ${apiMessage}`);
+        throw createApiError(error, `Error in advanced company search with filters ${JSON.stringify(filters)}`);
       } else if (error.request) {
-        safeLog('error', "No response received. Request:", error.request);
-        throw new MCPError(ErrorCode.UNAVAILABLE, `Error in advanced company search with filters ${JSON.stringify(filters)}: No response from server.`);
+        safeLog('error', "No response received:", error.code || error.message);
+        throw createApiError(error, `Error in advanced company search with filters ${JSON.stringify(filters)}`);
       } else {
-        throw new MCPError(ErrorCode.INTERNAL, `Error in advanced company search with filters ${JSON.stringify(filters)}: ${error.message}`);
+        throw new MCPError(ErrorCode.InternalError, `Error in advanced company search with filters ${JSON.stringify(filters)}: ${error.message}`);
       }
     }
   }
 }
 
 // Create ProxycurlClient instance
-const proxycurlClient = new ProxycurlClient(apiKey);
+const proxycurlClient = new ProxycurlClient(apiKey, {
+  cache: responseCache,
+  ledger: requestLedger,
+  cursors: cursorStore,
+  scheduler: requestScheduler,
+  retryPolicies,
+  circuitBreaker,
+  fixtures: fixtureStore,
+  fixtureMode: REPLAY_DIR ? 'replay' : RECORD_DIR ? 'record' : null,
+  http: httpOptions
+});
+
+// Track the remaining credit balance between refreshes so tool results can report it
+const creditBalanceTracker = new CreditBalanceTracker({
+  fetchBalance: async () => (await proxycurlClient.getCreditBalance()).credit_balance,
+  refreshIntervalMs: (getNumericSetting('--balance-refresh-interval', 'PROXYCURL_BALANCE_REFRESH_INTERVAL') ?? 300) * 1000,
+  lowBalanceThreshold: getNumericSetting('--low-credit-threshold', 'PROXYCURL_LOW_CREDIT_THRESHOLD') ?? 50,
+  log: safeLog
+});
 
 // Define tool schemas based on official Proxycurl API documentation
+
+// Values shared by many parameters. Argument validation (lib/argument-validation.js) enforces every enum,
+// range and length declared in these schemas.
+const INCLUDE_EXCLUDE = ["include", "exclude"];
+const SKIP_ENRICH = ["skip", "enrich"];
+const COMPANY_TYPES = ["EDUCATIONAL", "GOVERNMENT_AGENCY", "NON_PROFIT", "PARTNERSHIP", "PRIVATELY_HELD", "PUBLIC_COMPANY", "SELF_EMPLOYED", "SELF_OWNED"];
+// A search_people filter taking a Boolean search expression, or lists of terms compiled into one. Expressions
+// are checked and normalized before they are sent (see lib/boolean-query.js).
+function searchExpression(description) {
+  return {
+    anyOf: [{ type: "string" }, STRUCTURED_QUERY_SCHEMA],
+    description
+  };
+}
+
+// Shared by every tool that calls Proxycurl; handled by the server, never sent to the API
+const cacheModeSchema = {
+  cache_mode: {
+    type: "string",
+    enum: CACHE_MODES,
+    description: "Optional. Controls the local response cache. Values: 'prefer_cache' (default) - return a cached response if a fresh one exists, otherwise call Proxycurl and cache the result; 'bypass' - always call Proxycurl (spends credits) and refresh the cache; 'only_cache' - never call Proxycurl and fail if no fresh cached response exists."
+  }
+};
+
+const dryRunSchema = {
+  dry_run: {
+    type: "boolean",
+    description: "Optional. Set to true to validate the arguments and return the exact Proxycurl request and its estimated credit cost instead of calling the API. Costs nothing."
+  }
+};
+
+const responseShapeSchema = {
+  fields: {
+    type: "string",
+    description: "Optional. Comma separated dot paths of the result fields to return, e.g. 'full_name,headline,experiences.title,experiences.company'. A path into a list applies to every item ('results.profile.full_name'). 'cursor' and 'pagination' are always kept. Use this to keep large profiles out of the context."
+  },
+  response_mode: {
+    type: "string",
+    enum: RESPONSE_MODES,
+    description: "Optional. 'full' (default) - the complete result; 'compact' - drops null and empty values and bulky blocks such as people_also_viewed, similarly_named_profiles and recommendations, and shortens long texts; 'summary' - a short markdown digest plus only the key fields as structured data."
+  },
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description: "Optional. How the result is shown as text: 'json' (default) - a one-line summary and the JSON; 'markdown' - a formatted profile or a table of results, ready to show to the user; 'both' - the markdown followed by the JSON."
+  }
+};
+
+// Largest max_results of the search tools that can follow their next pages on the server (see `pagination`
+// in the tool registry)
+const MAX_AUTO_PAGINATION_RESULTS = 10000;
+
+// Shared by the search tools that can follow their next pages on the server
+const autoPaginationSchema = {
+  max_results: {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_AUTO_PAGINATION_RESULTS,
+    description: `Optional. Collect up to this many results (1-${MAX_AUTO_PAGINATION_RESULTS}) by following next pages on the server instead of returning a single page. Results are deduplicated by LinkedIn URL and a 'pagination' report (pages fetched, credits spent, why it stopped) is added. If page_size is not set, it is chosen to need as few pages as possible. Costs the same per result as fetching the pages one by one.`
+  },
+  max_credits: {
+    type: "number",
+    exclusiveMinimum: 0,
+    description: "Optional, used with max_results. Stop before fetching a page whose estimated cost would push the credits spent by this call above this ceiling."
+  }
+};
+
 const personProfileSchema = {
   linkedin_profile_url: {
     type: "string",
@@ -713,58 +1411,72 @@ const personProfileSchema = {
   },
   extra: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with extra details from external sources (gender, birth date, industry and interests). Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   github_profile_id: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with Github Id from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   facebook_profile_id: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with Facebook Id from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   twitter_profile_id: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with Twitter Id from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   personal_contact_number: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with personal numbers from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit per personal number returned if data is available."
   },
   personal_email: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Person Profile with personal emails from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit per email returned if data is available."
   },
   inferred_salary: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Include inferred salary range from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   skills: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Include skills data from external sources. Values: 'exclude' (default) or 'include'. Costs an extra 1 credit if data is available."
   },
   education: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include education information. Default: 'exclude'"
   },
   certification: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include certification information. Default: 'exclude'"
   },
   courses: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include courses information. Default: 'exclude'"
   },
   languages: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include languages information. Default: 'exclude'"
   },
   projects: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include projects information. Default: 'exclude'"
   },
   volunteer_work: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Set to 'include' to include volunteer work information. Default: 'exclude'"
   },
   // use_cache: {
@@ -773,8 +1485,12 @@ const personProfileSchema = {
   // },
   fallback_to_cache: {
     type: "string",
+    enum: ["on-error", "never"],
     description: "Optional. Tweaks the fallback behavior if an error arises from fetching a fresh profile. Values: 'on-error' (default) or 'never'."
-  }
+  },
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
 const companyProfileSchema = {
@@ -784,22 +1500,27 @@ const companyProfileSchema = {
   },
   categories: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Appends categories data of this company. Default value is 'exclude'. Set to 'include' to include these categories (if available) for 1 extra credit."
   },
   funding_data: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Returns a list of funding rounds that this company has received. Default value is 'exclude'. Set to 'include' to include funding data (if available) for 1 extra credit."
   },
   exit_data: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Returns a list of investment portfolio exits. Default value is 'exclude'. Set to 'include' to include exit data (if available) for 1 extra credit."
   },
   acquisitions: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Provides further enriched data on acquisitions made by this company from external sources. Default value is 'exclude'. Set to 'include' to include acquisition data (if available) for 1 extra credit."
   },
   extra: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Optional. Enriches the Company Profile with extra details from external sources (Crunchbase ranking, contact email, phone number, social accounts, funding rounds and amount, IPO status, investor information, etc). Default value is 'exclude'. Set to 'include' to include extra details (if available) for 1 extra credit."
   },
   // use_cache: {
@@ -810,6 +1531,9 @@ const companyProfileSchema = {
   //   type: "string",
   //   description: "Optional. Tweaks the fallback behavior if an error arises from fetching a fresh profile. Values: 'on-error' (default) - Fallback to reading the profile from cache if an error arises, or 'never' - Do not ever read profile from cache."
   // }
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
 const lookupProfileByPersonNameSchema = {
@@ -835,19 +1559,35 @@ const lookupProfileByPersonNameSchema = {
   },
   similarity_checks: {
     type: "string",
+    enum: ["include", "skip"],
     description: "Controls whether the API performs similarity comparisons between input parameters and results. Values: 'include' (default) - Perform similarity checks and discard false positives (credits charged even for null results), or 'skip' - Bypass similarity checks (no credits charged if no results). Optional."
   },
   enrich_profile: {
     type: "string",
+    enum: SKIP_ENRICH,
     description: "Enrich the result with a cached profile of the lookup result. Values: 'skip' (default) - Do not enrich results with cached profile data, or 'enrich' - Enriches the result with cached profile data (costs an extra credit). Optional."
-  }
+  },
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
+// Shared by the search tools that hand out a `cursor` for their next page
+function cursorSchema(tool) {
+  return {
+    cursor: {
+      type: "string",
+      description: `Cursor returned in the 'cursor' field of an earlier ${tool} result. Fetches the next page of that search; all other parameters are ignored. Cursors expire after about an hour and can be reused to fetch the same page again.`
+    }
+  };
+}
+
 const searchEmployeesSchema = {
   url: {
     type: "string",
-    description: "URL of the LinkedIn Company Profile to target. URL should be in the format of https://www.linkedin.com/company/<public_identifier>. Required."
+    description: "URL of the LinkedIn Company Profile to target. URL should be in the format of https://www.linkedin.com/company/<public_identifier>. Required unless 'cursor' is given."
   },
+  ...cursorSchema('search_employees'),
   role_search: {
     type: "string",
     description: "Filter employees by their title by matching the employee's title against a regular expression. The accepted value is a case-insensitive regular expression. The base cost with this parameter is 10 credits plus 3 extra credits per matched employee. Default: null (no filtering). Optional."
@@ -858,6 +1598,7 @@ const searchEmployeesSchema = {
   },
   coy_name_match: {
     type: "string",
+    enum: INCLUDE_EXCLUDE,
     description: "Include profiles that match the company name. The Employee Listing Endpoint works by identifying profiles with work experience matching the LinkedIn Company URL. This option also allows profiles with work experience matching the company name. Values: 'include' (default) - Include employees whose profiles match the company name, or 'exclude' - Exclude employees by company name match. Optional."
   },
   // use_cache: {
@@ -866,62 +1607,54 @@ const searchEmployeesSchema = {
   // },
   enrich_profiles: {
     type: "string",
+    enum: SKIP_ENRICH,
     description: "Get the full profile of employees instead of only their profile URLs. Values: 'skip' (default) - Lists employee's profile URL only, or 'enrich' - Lists full profile of employees (costs an extra 1 credit per employee returned). Optional."
   },
   page_size: {
     type: "integer",
+    minimum: 1,
+    maximum: 200000,
     description: "Limit the maximum results returned per API call. Default: 10. Accepted values: 1-200000, except when enrich_profiles=enrich where the maximum (and default) is 10. Optional."
   },
   employment_status: {
     type: "string",
+    enum: ["current", "past", "all"],
     description: "Parameter to tell the API to return past or current employees. Values: 'current' (default) - Lists current employees, 'past' - Lists past employees, or 'all' - Lists both current & past employees. Optional."
   },
   sort_by: {
     type: "string",
+    enum: ["recently-joined", "recently-left", "oldest", "none"],
     description: "Sort employees by recency. Values: 'recently-joined' - Sort by join date with most recent first, 'recently-left' - Sort by departure date with most recent first, 'oldest' - Returns oldest employees first, or 'none' (default) - No sorting. Non-default sorting adds 50 credits to base cost plus 10 additional credits per employee returned. Optional."
   },
   resolve_numeric_id: {
     type: "boolean",
     description: "Enable support for Company Profile URLs with numerical IDs from Sales Navigator. Values: false (default) - Will not resolve numerical IDs, or true - Enable support for numerical IDs (costs an extra 2 credits). Optional."
-  }
+  },
+  ...autoPaginationSchema,
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
 const searchPeopleSchema = {
+  ...cursorSchema('search_people'),
   get_next_page: {
     type: "boolean",
-    description: "Set to true to fetch the next page of results from the *immediately previous search*. If you want to revisit a previous search to get more results, you'll need to do that search again and then use this for paging, also in this case you could just use a large page size. If true, all other parameters are ignored. Defaults to false.",
+    description: "Deprecated: pass 'cursor' instead. Set to true to fetch the next page of the most recent search_people search made in this session. If true, all other parameters are ignored. Defaults to false.",
     optional: true // Explicitly mark as optional
   },
-  headline: {
-    type: "string",
-    description: "Filter people whose LinkedIn headline fields match the provided search expression."
-  },
-  summary: {
-    type: "string",
-    description: "Filter people whose LinkedIn summary fields match the provided search expression."
-  },
+  headline: searchExpression("Filter people whose LinkedIn headline fields match the provided search expression."),
+  summary: searchExpression("Filter people whose LinkedIn summary fields match the provided search expression."),
   country: {
     type: "string",
     description: "Filter people located in this country. This parameter accepts a case-insensitive Alpha-2 ISO3166 country code."
   },
-  region: {
-    type: "string",
-    description: "Filter based on US states. 'Southern California' will NOT return results. Instead, use 'California'."
-  },
-  city: {
-    type: "string",
-    description: "Filter people located in a city matching the provided search expression."
-  },
+  region: searchExpression("Filter based on US states. 'Southern California' will NOT return results. Instead, use 'California'."),
+  city: searchExpression("Filter people located in a city matching the provided search expression."),
   
   // Personal information filters
-  first_name: {
-    type: "string",
-    description: "Filter people whose first names match the provided search expression."
-  },
-  last_name: {
-    type: "string",
-    description: "Filter people whose last names match the provided search expression."
-  },
+  first_name: searchExpression("Filter people whose first names match the provided search expression."),
+  last_name: searchExpression("Filter people whose last names match the provided search expression."),
   follower_count_min: {
     type: "number",
     description: "Filter people with a LinkedIn follower count more than this value."
@@ -932,28 +1665,16 @@ const searchPeopleSchema = {
   },
   
   // Education filters
-  education_field_of_study: {
-    type: "string",
-    description: "Filter people with a field of study matching the provided search expression, based on education history."
-  },
-  education_degree_name: {
-    type: "string",
-    description: "Filter people who earned a degree matching the provided search expression, based on education history."
-  },
-  education_school_name: {
-    type: "string",
-    description: "Filter people who have attended a school whose name matches the provided search expression, based on education history."
-  },
+  education_field_of_study: searchExpression("Filter people with a field of study matching the provided search expression, based on education history."),
+  education_degree_name: searchExpression("Filter people who earned a degree matching the provided search expression, based on education history."),
+  education_school_name: searchExpression("Filter people who have attended a school whose name matches the provided search expression, based on education history."),
   education_school_linkedin_profile_url: {
     type: "string",
     description: "Filter people who have attended a school with a specific LinkedIn profile URL, based on education history."
   },
   
   // Current role filters
-  current_role_title: {
-    type: "string",
-    description: "Filter people who are currently working as a role whose title matches the provided search expression. You'll be looking for profiles on LinkDB that show a person's current job. However, keep in mind that some of these profiles may not be up-to-date, which means you might sometimes see a person's old job instead of their current job on LinkedIn."
-  },
+  current_role_title: searchExpression("Filter people who are currently working as a role whose title matches the provided search expression. You'll be looking for profiles on LinkDB that show a person's current job. However, keep in mind that some of these profiles may not be up-to-date, which means you might sometimes see a person's old job instead of their current job on LinkedIn."),
   current_role_before: {
     type: "string",
     description: "Filter people who started their current role before this date. You'll be looking for profiles on LinkDB that show a person's current job. However, keep in mind that some of these profiles may not be up-to-date, which means you might sometimes see a person's old job instead of their current job on LinkedIn. This parameter takes a ISO8601 date. Default value of this parameter is null."
@@ -962,48 +1683,28 @@ const searchPeopleSchema = {
     type: "string",
     description: "Filter people who started their current role after this date. You'll be looking for profiles on LinkDB that show a person's current job. However, keep in mind that some of these profiles may not be up-to-date, which means you might sometimes see a person's old job instead of their current job on LinkedIn. This parameter takes a ISO8601 date. Default value of this parameter is null."
   },
-  current_job_description: {
-    type: "string",
-    description: "Filter people with current job descriptions matching the provided search expression."
-  },
+  current_job_description: searchExpression("Filter people with current job descriptions matching the provided search expression."),
   
   // Past role filters
-  past_role_title: {
-    type: "string",
-    description: "Filter people who have in the past worked as a role whose title matches the provided search expression."
-  },
-  past_job_description: {
-    type: "string",
-    description: "Filter people with past job descriptions matching the provided search expression."
-  },
+  past_role_title: searchExpression("Filter people who have in the past worked as a role whose title matches the provided search expression."),
+  past_job_description: searchExpression("Filter people with past job descriptions matching the provided search expression."),
   
   // Current company filters
   current_company_linkedin_profile_url: {
     type: "string",
     description: "Filter people who are currently working at a company represented by this LinkedIn Company Profile URL. Default value of this parameter is null."
   },
-  current_company_name: {
-    type: "string",
-    description: "Filter people who are currently working at a company whose name matches the provided search expression."
-  },
-  current_company_industry: {
-    type: "string",
-    description: "Filter people who are currently working at a company belonging to an industry that matches the provided search expression. The industry attribute, found in a LinkedIn Company profile, describes the industry in which the company operates. The value of this attribute is an enumerator."
-  },
+  current_company_name: searchExpression("Filter people who are currently working at a company whose name matches the provided search expression."),
+  current_company_industry: searchExpression("Filter people who are currently working at a company belonging to an industry that matches the provided search expression. The industry attribute, found in a LinkedIn Company profile, describes the industry in which the company operates. The value of this attribute is an enumerator."),
   current_company_country: {
     type: "string",
     description: "Filter people who are currently working at a company with an office based in this country. This parameter accepts a case-insensitive Alpha-2 ISO3166 country code."
   },
-  current_company_region: {
-    type: "string",
-    description: "Filter people who are currently working at a company based in a state or province matching the provided search expression. Searches like 'Southern California' will NOTreturn results, instead search for 'California' and narrow in other parameters."
-  },
-  current_company_city: {
-    type: "string",
-    description: "Filter people who are currently working at a company based in a city matching the provided search expression."
-  },
+  current_company_region: searchExpression("Filter people who are currently working at a company based in a state or province matching the provided search expression. Searches like 'Southern California' will NOTreturn results, instead search for 'California' and narrow in other parameters."),
+  current_company_city: searchExpression("Filter people who are currently working at a company based in a city matching the provided search expression."),
   current_company_type: {
     type: "string",
+    enum: COMPANY_TYPES,
     description: "Filter people who are currently working at a company of the provided LinkedIn type. Possible values: EDUCATIONAL: Educational Institution, GOVERNMENT_AGENCY: Government Agency, NON_PROFIT: Nonprofit, PARTNERSHIP: Partnership, PRIVATELY_HELD: Privately Held, PUBLIC_COMPANY: Public Company, SELF_EMPLOYED: Self-Employed, SELF_OWNED: Sole Proprietorship"
   },
   current_company_employee_count_min: {
@@ -1022,10 +1723,7 @@ const searchPeopleSchema = {
     type: "number",
     description: "Filter people who are currently working at a company with a LinkedIn follower count less than this value."
   },
-  current_company_description: {
-    type: "string",
-    description: "Filter people who are currently working at a company with a description matching the provided search expression."
-  },
+  current_company_description: searchExpression("Filter people who are currently working at a company with a description matching the provided search expression."),
   current_company_founded_after_year: {
     type: "number",
     description: "Filter people who are currently working at a company that was founded after this year."
@@ -1056,32 +1754,14 @@ const searchPeopleSchema = {
     type: "string",
     description: "Filter people who have in the past worked at the company represented by this LinkedIn Company Profile URL. This parameter takes a LinkedIn Company Profile URL. Default value of this parameter is null."
   },
-  past_company_name: {
-    type: "string",
-    description: "Filter people who have previously worked at a company whose name matches the provided search expression."
-  },
+  past_company_name: searchExpression("Filter people who have previously worked at a company whose name matches the provided search expression."),
   
   // Skills, languages, interests filters
-  linkedin_groups: {
-    type: "string",
-    description: "Filter people who are members of LinkedIn groups whose names match the provided search expression."
-  },
-  languages: {
-    type: "string",
-    description: "Filter people who list a language matching the provided search expression."
-  },
-  interests: {
-    type: "string",
-    description: "Filter people whose Linkedin interest fields match the provided search expression."
-  },
-  skills: {
-    type: "string",
-    description: "Filter people whose Linkedin skill fields match the provided search expression."
-  },
-  industries: {
-    type: "string",
-    description: "Person's inferred industry. May sometimes exist when current_company_industry does not, but current_company_industry should be preferred when it exists."
-  },
+  linkedin_groups: searchExpression("Filter people who are members of LinkedIn groups whose names match the provided search expression."),
+  languages: searchExpression("Filter people who list a language matching the provided search expression."),
+  interests: searchExpression("Filter people whose Linkedin interest fields match the provided search expression."),
+  skills: searchExpression("Filter people whose Linkedin skill fields match the provided search expression."),
+  industries: searchExpression("Person's inferred industry. May sometimes exist when current_company_industry does not, but current_company_industry should be preferred when it exists."),
   
   // Identifier filters
   public_identifier_in_list: {
@@ -1095,34 +1775,45 @@ const searchPeopleSchema = {
   
   // Pagination and enrichment
   page_size: {
-    type: "number",
+    type: "integer",
+    minimum: 1,
+    maximum: 100,
     description: "Tune the maximum results returned per API call. The default value of this parameter is 100. Accepted values for this parameter is an integer ranging from 1 to 100, except when using enrich_profiles='enrich' where the maximum is 10. For basic testing, small values like 3-5 are recommended to save credits. Example: 10. Optional."
   },
   enrich_profiles: {
     type: "string",
+    enum: SKIP_ENRICH,
     description: "Get the person's complete profile data rather than just the URLs to their LinkedIn profiles. Each request respond with a streaming response of profiles. The valid values are: 'skip' (default): lists person's profile url only, 'enrich': include person's profile data in the list. Calling this API endpoint with this parameter would add 1 credit per result returned."
   },
   // use_cache: {
   //   type: "string",
   //   description: "Define the freshness guarantee on the results returned. This parameter accepts the following values: if-present (default value) - Returns result as-is without freshness guarantee, if-recent - Will make a best effort to return results of profiles no older than 29 days. Costs 1 extra credit per result on top of the base cost of the endpoint for users on the Growth plan or 2 extra credits otherwise. Note: If use_cache=if-recent, page_size is limited to a value of 10 or smaller."
   // }
+  ...autoPaginationSchema,
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
 const advancedSearchCompaniesSchema = {
+  ...cursorSchema('advanced_search_companies'),
   country: {
     type: "string",
     description: "Filter companies with an office based in this country. Uses Alpha-2 ISO3166 country code (e.g., 'US' for United States). Search expressions are limited to 255 characters. Optional."
   },
   region: {
     type: "string",
+    maxLength: MAX_EXPRESSION_LENGTH,
     description: "Filter companies located in a state or province. Searches like 'Southern California' will NOTreturn results, instead search for 'California' and narrow in other parameters. Search expressions are limited to 255 characters. Optional."
   },
   city: {
     type: "string",
+    maxLength: MAX_EXPRESSION_LENGTH,
     description: "Filter companies based in cities matching this search expression. Supports boolean operators (AND, OR). Example: 'San Francisco' or 'New York OR Boston'. Search expressions are limited to 255 characters. Optional."
   },
   type: {
     type: "string",
+    enum: COMPANY_TYPES,
     description: "Filter companies of the provided LinkedIn type. Valid values: EDUCATIONAL (Educational Institution), GOVERNMENT_AGENCY (Government Agency), NON_PROFIT (Nonprofit), PARTNERSHIP (Partnership), PRIVATELY_HELD (Privately Held), PUBLIC_COMPANY (Public Company), SELF_EMPLOYED (Self-Employed), SELF_OWNED (Sole Proprietorship). Optional."
   },
   follower_count_min: {
@@ -1135,10 +1826,12 @@ const advancedSearchCompaniesSchema = {
   },
   name: {
     type: "string",
+    maxLength: MAX_EXPRESSION_LENGTH,
     description: "Filter companies with a name matching this search expression. For basic searches, simply provide the company name (e.g., 'Microsoft'). Supports boolean operators (AND, OR) for more complex queries (e.g., 'Google OR Apple'). Search expressions are limited to 255 characters. Optional."
   },
   industry: {
     type: "string",
+    maxLength: MAX_EXPRESSION_LENGTH,
     description: "Filter companies belonging to an industry that matches this search expression. Example: 'technology' or 'healthcare AND devices'. Search expressions are limited to 255 characters. Optional."
   },
   employee_count_min: {
@@ -1151,6 +1844,7 @@ const advancedSearchCompaniesSchema = {
   },
   description: {
     type: "string",
+    maxLength: MAX_EXPRESSION_LENGTH,
     description: "Filter companies with a description matching this search expression. Supports boolean operators. Example: 'artificial intelligence' or 'medical AND device'. Search expressions are limited to 255 characters. Optional."
   },
   founded_after_year: {
@@ -1186,226 +1880,753 @@ const advancedSearchCompaniesSchema = {
     description: "A comma-separated list of LinkedIn public identifiers to exclude. Companies with identifiers in this list will NOT be included in results. Example: 'meta,twitter,amazon'. Use this to exclude specific companies from your search. Optional."
   },
   page_size: {
-    type: "number",
+    type: "integer",
+    minimum: 1,
+    maximum: 100,
     description: "Maximum number of results to return per API call. Default: 5. Accepted values range from 1 to 100, except when using enrich_profiles='enrich' where the maximum is 10. For basic testing, small values like 3-5 are recommended to save credits. Example: 10. Optional."
   },
   enrich_profiles: {
     type: "string",
+    enum: SKIP_ENRICH,
     description: "Controls whether to return complete company profile data or just LinkedIn URLs. Values: 'skip' (default, returns only LinkedIn profile URLs) or 'enrich' (returns complete company profile data, costs an additional 1 credit per result). When 'enrich' is used, page_size is limited to a maximum of 10. Optional."
   },
   // use_cache: {
   //   type: "string",
   //   description: "Controls the freshness guarantee of the returned results. Values: 'if-present' (default, returns results as they are in the cache with no freshness guarantee) or 'if-recent' (returns profiles that are less than 29 days old, costs 1 extra credit per result on the Growth plan or 2 extra credits on other plans). When 'if-recent' is used, page_size is limited to a maximum of 10. Optional."
   // }
+  ...autoPaginationSchema,
+  ...cacheModeSchema,
+  ...dryRunSchema,
+  ...responseShapeSchema
 };
 
+// Proxycurl caps page_size at 10 when the search results are enriched with profiles
+function checkEnrichedPageSize(args) {
+  if (args.enrich_profiles === 'enrich' && typeof args.page_size === 'number' && args.page_size > 10) {
+    return [`page_size: must be at most 10 when enrich_profiles is 'enrich', got ${args.page_size}`];
+  }
+  return [];
+}
+
+// Cross-argument rules of the search tools that can follow their next pages on the server
+function checkSearchArguments(args) {
+  const problems = checkEnrichedPageSize(args);
+  if (args.max_credits !== undefined && args.max_credits !== null && (args.max_results === undefined || args.max_results === null)) {
+    problems.push('max_credits: only works together with max_results');
+  }
+  return problems;
+}
+
+// Every tool the server offers. The tool list and call dispatch are generated from this registry
+// (see lib/tool-registry.js for the declaration format).
+const toolRegistry = new ToolRegistry([
+  {
+    // https://nubela.co/proxycurl/docs?shell#people-api-person-profile-endpoint
+    name: "get_person_profile", 
+    description: "Get structured data of a Personal Profile. COST: 1 credit per profile request (additional credits may apply for optional parameters). Returns comprehensive data including work experience, education, skills, recommendations, volunteer work, certifications, and more.",
+    inputSchema: {
+      type: "object",
+      properties: personProfileSchema
+    },
+    checkArguments: exactlyOneOf(["linkedin_profile_url", "twitter_profile_url", "facebook_profile_url"]),
+    linkedinUrls: { linkedin_profile_url: 'person' },
+    outputSchema: withDryRunPlan(PERSON_PROFILE_SCHEMA),
+    buildRequest: args => proxycurlClient.buildPersonProfileRequest(args.linkedin_profile_url, args),
+    handler: args => proxycurlClient.getPersonProfile(args.linkedin_profile_url, args),
+    summaryFields: [
+      'public_identifier', 'full_name', 'headline', 'city', 'country_full_name',
+      'experiences.title', 'experiences.company', 'experiences.starts_at', 'experiences.ends_at',
+      'education.school', 'education.degree_name', 'education.field_of_study'
+    ],
+    format: { summary: summarizePersonProfile, digest: digestPersonProfile, markdown: renderPersonProfile }
+  },
+  {
+    // https://nubela.co/proxycurl/docs?shell#company-api-company-profile-endpoint
+    name: "get_company_profile", 
+    description: "Get structured data of a Company Profile. COST: 1 credit per request (additional credits may apply for optional parameters).",
+    inputSchema: {
+      type: "object",
+      properties: companyProfileSchema,
+      required: ["url"]
+    },
+    linkedinUrls: { url: 'company' },
+    outputSchema: withDryRunPlan(COMPANY_PROFILE_SCHEMA),
+    buildRequest: args => proxycurlClient.buildCompanyProfileRequest(args.url, args),
+    handler: args => proxycurlClient.getCompanyProfile(args.url, args),
+    summaryFields: ['name', 'universal_name_id', 'tagline', 'industry', 'company_size', 'company_size_on_linkedin', 'hq', 'founded_year', 'website'],
+    format: { summary: summarizeCompanyProfile, digest: digestCompanyProfile, markdown: renderCompanyProfile }
+  },
+  {
+    // https://nubela.co/proxycurl/docs?shell#people-api-person-lookup-endpoint
+    name: "lookup_profile_by_person_name", 
+    description: "When you already know the first name of the person, combine that with other criteria to find people. NOT TO BE USED TO FIND PEOPLE BY JOB TITLE ALONE! COST: 2 credits per successful request.",
+    inputSchema: {
+      type: "object",
+      properties: lookupProfileByPersonNameSchema,
+      required: ["first_name", "company_domain"]
+    },
+    outputSchema: withDryRunPlan(LOOKUP_RESULT_SCHEMA),
+    buildRequest: args => proxycurlClient.buildLookupProfileRequest(args.first_name, args.company_domain, args.location, args.title, args.last_name, {
+      similarity_checks: args.similarity_checks,
+      enrich_profile: args.enrich_profile
+    }),
+    handler: lookupProfileByPersonName,
+    summaryFields: ['url', 'name_similarity_score', 'company_similarity_score', 'profile.full_name', 'profile.headline'],
+    format: { summary: summarizeLookupResult, digest: digestLookupResult, markdown: renderLookupResult }
+  },
+  {
+    // https://nubela.co/proxycurl/docs?shell#company-api-employee-listing-endpoint
+    name: "search_employees", 
+    description: "Get a list of employees of a Company. Cost: 3 credits / employee returned. Extra charges might be incurred if premium optional parameters are used. When there are more employees, the result includes a 'cursor'; pass it back as 'cursor' to get the next page.",
+    inputSchema: {
+      type: "object",
+      properties: searchEmployeesSchema
+    },
+    checkArguments: checkSearchArguments,
+    linkedinUrls: { url: 'company' },
+    outputSchema: withDryRunPlan(EMPLOYEE_LIST_SCHEMA),
+    // Pass the entire args object to support all options (page_size, country, etc.)
+    buildRequest: args => proxycurlClient.buildSearchEmployeesRequest(args.url, args),
+    handler: args => proxycurlClient.searchEmployees(args.url, args),
+    pagination: { resultsKey: 'employees', urlKey: 'profile_url' },
+    summaryFields: ['employees.profile_url', 'employees.profile.full_name', 'employees.profile.headline', 'total_result_count'],
+    format: { summary: summarizeEmployeeList, digest: digestEmployeeList, markdown: renderEmployeeList }
+  },
+  {
+    // https://nubela.co/proxycurl/docs?shell#search-api-person-search-endpoint
+    name: "search_people", 
+    description: "Search for people who meet a set of criteria within the LinkedIn database. COST: 3 credits per LinkedIn URL returned (additional credits may apply for optional parameters). IMPORTANT: Use 'headline' parameter for your main search query (not 'query'). You can also use 'summary', 'current_role_title', etc. for more specific searches. Each search parameter is limited to 255 characters. Search expressions follow the Boolean Search Syntax: Quotes \" \": Search for exact phrases (e.g., \"banana bread\"). OR ||: Search for either term (e.g., 'bananas OR apples'). AND &&: Require all terms (e.g., 'bananas AND apples'). NOT -: Exclude terms (e.g., 'bananas -apples'). Parentheses ( ): Group terms (e.g., '(bananas OR apples) AND bread'). Malformed expressions (unbalanced quotes or parentheses, dangling operators) are rejected before any credits are spent. Instead of an expression, each search parameter also accepts lists of terms or phrases: {\"all\": [...], \"any\": [...], \"none\": [...]}, e.g. current_role_title: {\"any\": [\"CTO\", \"chief technology officer\"]}. For region searches, use standard LinkedIn regions like 'California' rather than 'Southern California'.",
+    inputSchema: {
+      type: "object",
+      properties: searchPeopleSchema,
+      required: [] // No required parameters, more flexible for different search approaches
+    },
+    checkArguments: checkSearchArguments,
+    searchExpressions: Object.keys(searchPeopleSchema).filter(field => searchPeopleSchema[field].anyOf),
+    linkedinUrls: {
+      current_company_linkedin_profile_url: 'company',
+      past_company_linkedin_profile_url: 'company',
+      education_school_linkedin_profile_url: 'school'
+    },
+    outputSchema: withDryRunPlan(PERSON_SEARCH_SCHEMA),
+    buildRequest: args => proxycurlClient.buildSearchPeopleRequest(args),
+    // Pass all args, the method itself will check for 'cursor' / 'get_next_page'
+    handler: args => proxycurlClient.search_people(args),
+    pagination: { resultsKey: 'results', urlKey: 'linkedin_profile_url' },
+    summaryFields: ['results.linkedin_profile_url', 'results.profile.full_name', 'results.profile.headline', 'total_result_count', 'error'],
+    format: { summary: summarizePersonSearch, digest: digestPersonSearch, markdown: renderPersonSearch }
+  },
+  {
+    // https://nubela.co/proxycurl/docs?shell#search-api-company-search-endpoint
+    name: "advanced_search_companies", 
+    description: "Search for companies that meet specific criteria within the LinkedIn database. COST: 3 credits per company URL returned plus additional costs for certain parameters. When there are more results, the result includes a 'cursor'; pass it back as 'cursor' to get the next page.",
+    inputSchema: {
+      type: "object",
+      properties: advancedSearchCompaniesSchema
+    },
+    checkArguments: checkSearchArguments,
+    outputSchema: withDryRunPlan(COMPANY_SEARCH_SCHEMA),
+    buildRequest: args => proxycurlClient.buildAdvancedSearchCompaniesRequest(args),
+    handler: args => proxycurlClient.advancedSearchCompanies(args),
+    pagination: { resultsKey: 'results', urlKey: 'linkedin_profile_url' },
+    summaryFields: ['results.linkedin_profile_url', 'results.profile.name', 'results.profile.industry', 'total_result_count'],
+    format: { summary: summarizeCompanySearch, digest: digestCompanySearch, markdown: renderCompanySearch }
+  },
+  {
+    name: "reset_search_state", 
+    description: "Clears search pagination cursors. Pass 'cursor' to clear a single cursor; without it, every cursor created in this session is cleared.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cursor: {
+          type: "string",
+          description: "Optional. The cursor to clear."
+        },
+        ...dryRunSchema,
+        ...responseShapeSchema
+      }
+    },
+    outputSchema: withDryRunPlan(RESET_SEARCH_STATE_SCHEMA),
+    handler: args => proxycurlClient.reset_search_state(args)
+  },
+  {
+    name: "get_credit_balance",
+    description: "Get the remaining Proxycurl credit balance of the account. COST: free. Use this before expensive searches or when a tool result warns that the balance is low.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...dryRunSchema,
+        ...responseShapeSchema
+      }
+    },
+    outputSchema: withDryRunPlan(CREDIT_BALANCE_SCHEMA),
+    buildRequest: () => proxycurlClient.buildCreditBalanceRequest(),
+    handler: async () => {
+      const balance = await creditBalanceTracker.refresh();
+      return {
+        credit_balance: balance,
+        low_balance_threshold: creditBalanceTracker.lowBalanceThreshold,
+        low_balance: creditBalanceTracker.isLow()
+      };
+    },
+    format: { summary: summarizeCreditBalance }
+  },
+  {
+    name: "test_api_key", 
+    description: "Tests the validity of the Proxycurl API key by making a simple request. Useful for debugging authentication issues.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...dryRunSchema,
+        ...responseShapeSchema
+      }
+    },
+    outputSchema: withDryRunPlan(API_KEY_TEST_SCHEMA),
+    buildRequest: () => proxycurlClient.buildApiKeyValidationRequest(),
+    handler: () => proxycurlClient.testApiKey()
+  }
+]);
+
+// Tools can be switched off with --enable-tools / --disable-tools or the config file
+try {
+  toolRegistry.configure(toolSelection);
+} catch (error) {
+  safeLog('error', `ERROR: ${error.message}`);
+  process.exit(1);
+}
+
 // Handler for listing available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
   return {
-    tools: [
-      {
-        // https://nubela.co/proxycurl/docs?shell#people-api-person-profile-endpoint
-        name: "get_person_profile", 
-        description: "Get structured data of a Personal Profile. COST: 1 credit per profile request (additional credits may apply for optional parameters). Returns comprehensive data including work experience, education, skills, recommendations, volunteer work, certifications, and more.",
-        inputSchema: {
-          type: "object",
-          properties: personProfileSchema,
-          required: ["linkedin_profile_url"]
-        }
-      },
-      {
-        // https://nubela.co/proxycurl/docs?shell#company-api-company-profile-endpoint
-        name: "get_company_profile", 
-        description: "Get structured data of a Company Profile. COST: 1 credit per request (additional credits may apply for optional parameters).",
-        inputSchema: {
-          type: "object",
-          properties: companyProfileSchema,
-          required: ["url"]
-        }
-      },
-      {
-        // https://nubela.co/proxycurl/docs?shell#people-api-person-lookup-endpoint
-        name: "lookup_profile_by_person_name", 
-        description: "When you already know the first name of the person, combine that with other criteria to find people. NOT TO BE USED TO FIND PEOPLE BY JOB TITLE ALONE! COST: 2 credits per successful request.",
-        inputSchema: {
-          type: "object",
-          properties: lookupProfileByPersonNameSchema,
-          required: ["first_name", "company_domain"]
-        }
-      },
-      {
-        // https://nubela.co/proxycurl/docs?shell#company-api-employee-listing-endpoint
-        name: "search_employees", 
-        description: "Get a list of employees of a Company. Cost: 3 credits / employee returned. Extra charges might be incurred if premium optional parameters are used.",
-        inputSchema: {
-          type: "object",
-          properties: searchEmployeesSchema,
-          required: ["url"]
-        }
-      },
-      {
-        // https://nubela.co/proxycurl/docs?shell#search-api-person-search-endpoint
-        name: "search_people", 
-        description: "Search for people who meet a set of criteria within the LinkedIn database. COST: 3 credits per LinkedIn URL returned (additional credits may apply for optional parameters). IMPORTANT: Use 'headline' parameter for your main search query (not 'query'). You can also use 'summary', 'current_role_title', etc. for more specific searches. Each search parameter is limited to 255 characters. Search expressions follow the Boolean Search Syntax: Quotes \" \": Search for exact phrases (e.g., \"banana bread\"). OR ||: Search for either term (e.g., 'bananas OR apples'). AND &&: Require all terms (e.g., 'bananas AND apples'). NOT -: Exclude terms (e.g., 'bananas -apples'). Parentheses ( ): Group terms (e.g., '(bananas OR apples) AND bread'). For region searches, use standard LinkedIn regions like 'California' rather than 'Southern California'.",
-        inputSchema: {
-          type: "object",
-          properties: searchPeopleSchema,
-          required: [] // No required parameters, more flexible for different search approaches
-        }
-      },
-      {
-        // https://nubela.co/proxycurl/docs?shell#search-api-company-search-endpoint
-        name: "advanced_search_companies", 
-        description: "Search for companies that meet specific criteria within the LinkedIn database. COST: 3 credits per company URL returned plus additional costs for certain parameters.",
-        inputSchema: {
-          type: "object",
-          properties: advancedSearchCompaniesSchema
-        }
-      },
-      {
-        name: "reset_search_state", 
-        description: "Resets the internal state for search pagination (clears next page URL). For testing.",
-        inputSchema: {
-          type: "object",
-          properties: {}
-        }
-      },
-      {
-        name: "test_api_key", 
-        description: "Tests the validity of the Proxycurl API key by making a simple request. Useful for debugging authentication issues.",
-        inputSchema: {
-          type: "object",
-          properties: {}
-        }
+    tools: toolRegistry.list()
+  };
+}
+
+// The declaration of the tool a call names. Calls to unknown and disabled tools are invalid.
+function getTool(name) {
+  const tool = toolRegistry.get(name);
+  if (!tool) {
+    throw new MCPError(ErrorCode.InvalidParams, toolRegistry.isDisabled(name) ? `Tool '${name}' is disabled in the server configuration.` : `Tool '${name}' not found.`);
+  }
+  return tool;
+}
+
+// Run a single tool against the Proxycurl client
+async function executeTool(name, args) {
+  const tool = getTool(name);
+  // max_results turns a search into a server-side walk over its pages
+  if (tool.pagination && (args.max_results !== undefined || args.max_credits !== undefined)) {
+    return collectSearchPages(name, args);
+  }
+  return tool.handler(args);
+}
+
+// Handler of lookup_profile_by_person_name
+async function lookupProfileByPersonName(args) {
+  try {
+    // Extract parameters with defaults to avoid undefined errors
+    const { 
+      first_name, 
+      last_name = null, 
+      company_domain, 
+      location = null, 
+      title = null, 
+      similarity_checks = 'include', 
+      enrich_profile = 'enrich'
+    } = args;
+    
+    // Log detailed debugging info
+    safeLog('info', `DEBUG lookup_profile_by_person_name parameters: ${JSON.stringify(args, null, 2)}`);
+    
+    // Setup options object
+    const options = {
+      similarity_checks,
+      enrich_profile
+    };
+    
+    // Log parameters being sent to the client method
+    safeLog('info', `Calling lookupProfileByPersonName with: first_name=${first_name}, company_domain=${company_domain}, location=${location}, title=${title}, last_name=${last_name}, options=${JSON.stringify(options)}`);
+    
+    return await proxycurlClient.lookupProfileByPersonName(first_name, company_domain, location, title, last_name, options);
+  } catch (error) {
+    safeLog('error', `DEBUG lookup_profile_by_person_name error: ${error.stack || error.message}`);
+    if (error instanceof MCPError) {
+      throw error;
+    }
+    throw new MCPError(ErrorCode.InternalError, `Failed to lookup profile by person name: ${error.message}`);
+  }
+}
+
+// Arguments for the first page of an auto-paginated search. Without an explicit page_size, max_results is
+// split into equal pages of at most 100 results (10 when profiles are enriched, Proxycurl's limits).
+function getFirstPageArgs(args) {
+  const { max_results: maxResults, max_credits: maxCredits, ...pageArgs } = args;
+  if (Number.isInteger(maxResults) && maxResults > 0 && pageArgs.page_size === undefined && !pageArgs.cursor && pageArgs.get_next_page !== true) {
+    const pageLimit = pageArgs.enrich_profiles === 'enrich' ? 10 : 100;
+    pageArgs.page_size = Math.ceil(maxResults / Math.ceil(maxResults / pageLimit));
+  }
+  return pageArgs;
+}
+
+// Result URLs are compared in canonical form; other URLs without case, query string or trailing slash
+function getResultKey(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  return parseLinkedInUrl(url)?.url ?? url.toLowerCase().split(/[?#]/)[0].replace(/\/+$/, '');
+}
+
+// Follow a search's cursors until max_results unique results are collected, the next page could push the
+// spend past max_credits, or there are no more pages. At most the number of pages the cost estimate allowed
+// for is fetched, so duplicates can leave the result short of max_results.
+async function collectSearchPages(name, args) {
+  // max_results and max_credits were checked by argument validation
+  const { max_results: maxResults, max_credits: maxCredits = null } = args;
+
+  const { resultsKey, urlKey } = getTool(name).pagination;
+  const context = callContext.getStore();
+  const maxPages = estimateToolCost(name, args).pages;
+  if (context?.progress) {
+    context.progress.total = maxPages;
+  }
+  const collected = [];
+  const seen = new Set();
+  let pageArgs = getFirstPageArgs(args);
+  let firstPage = null;
+  let lastPage = null;
+  let pages = 0;
+  let fetched = 0;
+  let duplicates = 0;
+  let creditsSpent = 0;
+  let stopReason;
+  let nextPageEstimate = null;
+
+  while (true) {
+    throwIfCancelled();
+    if (pages >= maxPages) {
+      stopReason = 'page_limit';
+      break;
+    }
+    // Stop before a page whose worst-case cost would break the ceiling
+    nextPageEstimate = estimateToolCost(name, pageArgs).credits;
+    if (maxCredits !== null && creditsSpent + nextPageEstimate > maxCredits) {
+      stopReason = 'max_credits';
+      break;
+    }
+
+    const spentBefore = context?.creditsSpent ?? 0;
+    const page = await executeTool(name, pageArgs);
+    creditsSpent += (context?.creditsSpent ?? 0) - spentBefore;
+    pages += 1;
+    firstPage = firstPage || page;
+    lastPage = page;
+
+    for (const item of page[resultsKey] || []) {
+      fetched += 1;
+      const key = getResultKey(item[urlKey]);
+      if (key && seen.has(key)) {
+        duplicates += 1;
+        continue;
+      }
+      if (key) seen.add(key);
+      if (collected.length < maxResults) collected.push(item);
+    }
+    if (context?.progress) {
+      context.progress.completed = pages;
+    }
+    reportProgress(`Fetched page ${pages} of up to ${maxPages}: ${collected.length} of ${maxResults} results collected, ${describeCreditsSpent()}.`);
+
+    if (collected.length >= maxResults) {
+      stopReason = 'max_results';
+      break;
+    }
+    if (!page.cursor) {
+      stopReason = 'no_more_pages';
+      break;
+    }
+    pageArgs = { cursor: page.cursor };
+  }
+
+  const result = { [resultsKey]: collected };
+  if (firstPage?.total_result_count !== undefined) {
+    result.total_result_count = firstPage.total_result_count;
+  }
+  // The cursor continues after the last page fetched (or at the page max_credits stopped in front of)
+  result.cursor = stopReason === 'max_credits' ? (pageArgs.cursor ?? null) : (lastPage?.cursor ?? null);
+  result.pagination = {
+    pages,
+    results_fetched: fetched,
+    results_returned: collected.length,
+    duplicates_removed: duplicates,
+    credits_spent: creditsSpent,
+    stop_reason: stopReason,
+    max_results: maxResults,
+    max_credits: maxCredits
+  };
+  if (stopReason === 'max_credits') {
+    result.pagination.next_page_estimated_credits = nextPageEstimate;
+  }
+  return result;
+}
+
+// Work out the request a tool call would send to Proxycurl, or null if it sends none
+function buildToolRequest(name, args) {
+  const tool = getTool(name);
+  if (!tool.buildRequest) {
+    return null;
+  }
+  return tool.buildRequest(tool.pagination ? getFirstPageArgs(args) : args);
+}
+
+// Estimate the maximum credit cost of a tool call
+function estimateToolCost(name, args) {
+  const request = buildToolRequest(name, args);
+  if (!request) {
+    return { endpoint: null, credits: 0, breakdown: [] };
+  }
+  if (!getTool(name).pagination || args.max_results === undefined) {
+    return estimateRequestCost(request.url, request.params);
+  }
+
+  // Auto-pagination: every page priced like the first, capped by max_credits
+  const estimate = estimatePaginatedCost(request.url, request.params, args.max_results);
+  if (typeof args.max_credits === 'number' && args.max_credits < estimate.credits) {
+    estimate.breakdown.push({ item: 'capped by max_credits', credits: args.max_credits - estimate.credits });
+    estimate.credits = args.max_credits;
+  }
+  return estimate;
+}
+
+// The fresh cached response a call would be answered with, null when there is none, or undefined when the call
+// does not use the cache
+async function findCachedResponse(request, cacheMode) {
+  if (!request || !responseCache || cacheMode === 'bypass' || !responseCache.isCacheable(request.url)) {
+    return undefined;
+  }
+  return await responseCache.get(request.url, request.params);
+}
+
+// A fresh cached response makes a single-request call free; later pages of a paginated call are still fetched
+function cachedCallCredits(estimate, cached) {
+  return cached && !(estimate.pages > 1) ? 0 : estimate.credits;
+}
+
+// Describe what a tool call would do without calling Proxycurl: the exact request and its estimated cost
+async function describeDryRun(name, args, cacheMode) {
+  const tool = getTool(name);
+  const result = { dry_run: true, tool: name, valid: true, request: null };
+  const request = buildToolRequest(name, args);
+  if (!request) {
+    result.note = name === 'search_people'
+      ? "No next page available. Perform a new search first, then pass the returned 'cursor'."
+      : 'This tool does not call the Proxycurl API.';
+    result.cost = { estimated_max_credits: 0, breakdown: [] };
+    return result;
+  }
+
+  const estimate = estimateToolCost(name, args);
+  result.request = {
+    method: 'GET',
+    endpoint: estimate.endpoint,
+    url: request.url,
+    params: request.params,
+    full_url: proxycurlClient.axiosInstance.getUri({ url: request.url, params: request.params })
+  };
+
+  const cached = await findCachedResponse(request, cacheMode);
+  if (cached !== undefined) {
+    result.cache = { mode: cacheMode, would_hit: Boolean(cached), age_seconds: cached ? cached.ageSeconds : null };
+  }
+
+  result.cost = {
+    estimated_max_credits: cachedCallCredits(estimate, cached),
+    breakdown: estimate.breakdown
+  };
+  if (estimate.pages) {
+    result.cost.max_pages = estimate.pages;
+  }
+
+  if (creditBudget) {
+    const budgetProblem = creditBudget.check(result.cost.estimated_max_credits);
+    result.budget = { ...creditBudget.getStatus(), would_exceed: Boolean(budgetProblem), message: budgetProblem };
+  }
+
+  return result;
+}
+
+// Collect the per-call metadata (cache usage, credits, ...) reported alongside the tool result
+function buildCallMetadata(context) {
+  const metadata = {};
+
+  if (context.creditsSpent > 0 || creditBudget) {
+    metadata.credits = {
+      estimated_max: context.estimatedCredits,
+      spent: context.creditsSpent
+    };
+    if (creditBudget) {
+      metadata.credits.budget = creditBudget.getStatus();
+    }
+  }
+
+  const balanceHint = creditBalanceTracker.getHint();
+  if (balanceHint) {
+    metadata.credits = { ...metadata.credits, ...balanceHint };
+  }
+
+  const balanceWarning = creditBalanceTracker.getWarning();
+  if (balanceWarning) {
+    metadata.warnings = [balanceWarning];
+  }
+
+  if (context.rateLimitWaitMs > 0) {
+    metadata.rate_limit = { waited_ms: context.rateLimitWaitMs };
+  }
+
+  if (context.retries.length > 0) {
+    metadata.retries = {
+      attempts: context.retries.reduce((sum, retries) => sum + retries.attempts, 0),
+      total_wait_ms: context.retries.reduce((sum, retries) => sum + retries.wait_ms, 0),
+      requests: context.retries
+    };
+  }
+
+  if (context.response) {
+    metadata.response = context.response;
+  }
+
+  if (context.cacheEvents.length > 0) {
+    metadata.cache = {
+      mode: context.cacheMode,
+      hits: context.cacheEvents.filter(event => event.status === 'hit').length,
+      misses: context.cacheEvents.filter(event => event.status === 'miss').length,
+      requests: context.cacheEvents
+    };
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+// Apply the call's `fields` projection and response mode to a tool result. The summary mode keeps the tool's
+// summaryFields unless the call lists its own. Returns { result, report } where the report (null for a full,
+// unprojected result) goes into the call metadata.
+function shapeToolResult(name, result, responseMode, fieldPaths) {
+  if (!result || typeof result !== 'object' || (responseMode === 'full' && !fieldPaths)) {
+    return { result, report: null };
+  }
+  const report = { mode: responseMode };
+  let shaped = result;
+
+  const { summaryFields } = getTool(name);
+  const paths = fieldPaths || (responseMode === 'summary' && summaryFields ? parseFieldPaths(summaryFields) : null);
+  if (paths) {
+    const projection = projectFields(shaped, paths);
+    shaped = projection.result;
+    if (fieldPaths) {
+      report.fields = fieldPaths.map(keys => keys.join('.'));
+      if (projection.unmatched.length > 0) {
+        report.unmatched_fields = projection.unmatched;
       }
+    }
+  }
+  if (responseMode !== 'full') {
+    const compacted = compactResult(shaped);
+    shaped = compacted.result;
+    if (compacted.omitted.length > 0) {
+      report.omitted_fields = compacted.omitted;
+    }
+  }
+  return { result: shaped, report };
+}
+
+// Wrap a tool result for the client: the shaped result as structuredContent, and as text blocks
+// - the summary response mode: a markdown digest
+// - format 'json': a one-line summary and the shaped result as JSON (for clients without structured output support)
+// - format 'markdown': the shaped result rendered as markdown; 'both': the markdown and the JSON
+// followed by the call metadata, if any
+function buildToolResult(name, result, shapedResult, metadata, { responseMode = 'full', format = 'json' } = {}) {
+  if (typeof result === 'string') {
+    return { content: [{ type: "text", text: result }] };
+  }
+  // Dry-run plans, non-object results and tools without formatters of their own fall back to a one-line summary
+  const formatters = !result || typeof result !== 'object' ? {} : result.dry_run ? { summary: summarizeDryRun } : getTool(name).format;
+  const summarize = formatters.summary || summarizeMessage;
+  const content = [];
+  if (responseMode === 'summary') {
+    content.push({ type: "text", text: (formatters.digest || summarize)(result) });
+  } else {
+    content.push({ type: "text", text: format === 'json' ? summarize(result) : (formatters.markdown || summarize)(shapedResult) });
+    if (format !== 'markdown') {
+      content.push({ type: "text", text: JSON.stringify(shapedResult, null, 2) });
+    }
+  }
+  // Call metadata goes in its own block so the result blocks stay the plain API result
+  if (metadata) {
+    content.push({ type: "text", text: JSON.stringify({ metadata }, null, 2) });
+  }
+  return { content, structuredContent: shapedResult };
+}
+
+// Report a failed tool call as a tool result flagged isError, so the client and the model get the error's code
+// and classification: the message, then { error: { code, type, retryable, hint, ... } } as JSON
+function buildErrorResult(error) {
+  return {
+    isError: true,
+    content: [
+      { type: "text", text: error.message },
+      { type: "text", text: JSON.stringify({ error: { code: error.code, ...error.data } }, null, 2) }
     ]
   };
-});
+}
 
 // Handler for tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request, extra = {}) {
   try {
-    const { name, arguments: args } = request.params;
+    const { name, arguments: rawArgs = {} } = request.params;
     
     // Log tool call
-    safeLog('info', `Tool call: ${name}`, args);
-    
+    safeLog('info', `Tool call: ${name}`, rawArgs);
+
+    // Every argument is checked against the tool's input schema before anything else happens
+    const tool = getTool(name);
+    const validation = validateArguments(tool.argumentSchema, rawArgs, tool.checkArguments);
+    // LinkedIn URLs are sent to Proxycurl (and cached) in canonical form, search expressions checked and normalized
+    const urls = normalizeLinkedInArguments(validation.args, tool.linkedinUrls);
+    const expressions = normalizeSearchExpressions(urls.args, tool.searchExpressions);
+    const problems = [...validation.problems, ...urls.problems, ...expressions.problems];
+    if (problems.length > 0) {
+      throw new MCPError(ErrorCode.InvalidParams, `Invalid arguments for '${name}': ${problems.join('; ')}`);
+    }
+
+    // Server-side options are stripped here so they never reach the Proxycurl API
+    const { cache_mode: cacheMode = 'prefer_cache', dry_run: dryRun = false, fields, response_mode: responseMode = 'full', format = 'json', ...args } = expressions.args;
+    let fieldPaths = null;
+    if (fields !== undefined) {
+      try {
+        fieldPaths = parseFieldPaths(fields);
+      } catch (error) {
+        throw new MCPError(ErrorCode.InvalidParams, error.message);
+      }
+    }
+
+    const context = { toolName: name, sessionId: extra.sessionId, cacheMode, cacheEvents: [], estimatedCredits: 0, creditsSpent: 0, rateLimitWaitMs: 0, retries: [], signal: extra.signal, progress: null, response: null };
+    // Progress notifications are only sent when the client supplied a progress token
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken !== undefined && extra.sendNotification) {
+      context.progress = { token: progressToken, sendNotification: extra.sendNotification, completed: 0, total: null, sent: 0 };
+    }
+
+    // The --dry-run server flag cannot be overridden per call
+    if (DRY_RUN_MODE || dryRun === true) {
+      const plan = await callContext.run(context, () => describeDryRun(name, args, cacheMode));
+      return buildToolResult(name, plan, plan, null, { format });
+    }
+
+    // Refuse the call up front if its worst-case cost does not fit the credit budget
+    const estimate = callContext.run(context, () => estimateToolCost(name, args));
+    context.estimatedCredits = estimate.credits;
+    let reservation = null;
+    if (creditBudget) {
+      const cached = await callContext.run(context, () => findCachedResponse(buildToolRequest(name, args), cacheMode));
+      const credits = cachedCallCredits(estimate, cached);
+      const outcome = creditBudget.reserve(credits);
+      if (outcome.error) {
+        throw new MCPError(ERROR_CODES.budget, `Credit budget exceeded for '${name}': ${outcome.error} No request was sent to Proxycurl.`, {
+          type: 'budget',
+          retryable: false,
+          request_sent: false,
+          estimated_credits: credits,
+          budget: creditBudget.getStatus(),
+          hint: 'Narrow the call (smaller page_size or max_results, fewer extra-cost options) or raise the budget limits.'
+        });
+      }
+      reservation = outcome.reservation;
+    }
+
     let result;
-    
-    // Handle different tools
-    switch (name) {
-      case "get_person_profile":
-        result = await proxycurlClient.getPersonProfile(args.linkedin_profile_url || args.url, args);
-        break;
-        
-      case "get_company_profile":
-        result = await proxycurlClient.getCompanyProfile(args.url, args);
-        break;
-        
-      case "lookup_profile_by_person_name":
-        try {
-          // Extract parameters with defaults to avoid undefined errors
-          const { 
-            first_name, 
-            last_name = null, 
-            company_domain, 
-            location = null, 
-            title = null, 
-            similarity_checks = 'include', 
-            enrich_profile = 'enrich',
-            name = null  // For backward compatibility
-          } = args;
-          
-          // Log detailed debugging info
-          safeLog('info', `DEBUG lookup_profile_by_person_name parameters: ${JSON.stringify(args, null, 2)}`);
-          
-          // Check required parameters
-          if (!first_name || !company_domain) {
-            throw new MCPError(ErrorCode.INVALID_ARGUMENT, "first_name and company_domain are required parameters");
-          }
-          
-          // Setup options object
-          const options = {
-            similarity_checks,
-            enrich_profile
-          };
-          
-          // Log parameters being sent to the client method
-          safeLog('info', `Calling lookupProfileByPersonName with: first_name=${first_name}, company_domain=${company_domain}, location=${location}, title=${title}, last_name=${last_name}, options=${JSON.stringify(options)}`);
-          
-          result = await proxycurlClient.lookupProfileByPersonName(first_name, company_domain, location, title, last_name, options);
-          return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] }; // Return object
-
-        } catch (error) {
-          safeLog('error', `DEBUG lookup_profile_by_person_name error: ${error.stack || error.message}`);
-          throw new MCPError(ErrorCode.INTERNAL, `Failed to lookup profile by person name: ${error.message}`);
-        }
-        
-      case "search_employees":
-        // Pass the entire args object to support all options (page_size, country, etc.)
-        result = await proxycurlClient.searchEmployees(args.url, args);
-        break;
-        
-      case 'search_people':
-        // Pass all args, the method itself will check for 'get_next_page'
-        result = await proxycurlClient.search_people(args);
-        break;
-        
-      case 'advanced_search_companies':
-        result = await proxycurlClient.advancedSearchCompanies(args);
-        break;
-        
-      case 'reset_search_state':
-        result = await proxycurlClient.reset_search_state();
-        break;
-        
-      case 'test_api_key':
-        result = await proxycurlClient.testApiKey();
-        break;
-        
-      default:
-        throw new MCPError(ErrorCode.NOT_FOUND, `Tool '${name}' not found.`);
+    try {
+      result = await callContext.run(context, () => executeTool(name, args));
+    } finally {
+      if (reservation) {
+        await creditBudget.settle(reservation, context.creditsSpent);
+      }
+      creditBalanceTracker.recordSpend(context.creditsSpent);
+    }
+
+    // Keep the credits_remaining hint reasonably fresh (rate limited by the refresh interval). The refresh runs
+    // in the background, so this call's hint may still be the previous estimate.
+    if (name !== 'get_credit_balance') {
+      creditBalanceTracker.refreshIfStale();
     }
     
     // Log successful tool execution result
     safeLog('info', `Tool '${name}' executed successfully. Result length: ${JSON.stringify(result).length}`);
     // safeLog('info', `DEBUG Full result for '${name}': ${JSON.stringify(result, null, 2)}`); // Uncomment for detailed result logging
 
-    // Wrap the successful result object into the expected Claude structure
-    // The result from the client methods should be an object or primitive
-    const resultText = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
-    return { content: [{ type: "text", text: resultText }] }; 
+    const shaped = shapeToolResult(name, result, responseMode, fieldPaths);
+    context.response = shaped.report;
+    return buildToolResult(name, result, shaped.result, buildCallMetadata(context), { responseMode, format });
 
   } catch (error) {
     safeLog('error', 'Error in CallToolRequestSchema handler:', error);
 
-    if (error instanceof MCPError) {
-      // Re-throw MCPError so the SDK's Server can handle it and format it correctly
+    // Left to the SDK, which answers nothing to a request the client cancelled
+    if (extra.signal?.aborted) {
       throw error;
     }
-    
-    // Handle Zod validation errors (if you were using Zod for arg validation, e.g., schema.parse(args))
-    // This is a generic check; actual ZodError might have a more specific name or structure.
-    if (error.name === 'ZodError' && error.errors && Array.isArray(error.errors)) { 
-      const validationMessages = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
-      throw new MCPError(ErrorCode.INVALID_ARGUMENT, `Invalid arguments: ${validationMessages}`);
+
+    if (error instanceof MCPError) {
+      // A valid call that failed (its error is classified) is answered with an error result. Invalid requests
+      // are re-thrown so the SDK's Server sends them as JSON-RPC errors.
+      if (error.data) {
+        return buildErrorResult(error);
+      }
+      throw error;
     }
     
     // Catch all for other errors, convert to MCPError and throw
     // This ensures any unexpected error is also formatted correctly by the SDK Server.
-    throw new MCPError(ErrorCode.INTERNAL, error.message || 'An unexpected internal server error occurred.');
+    throw new MCPError(ErrorCode.InternalError, error.message || 'An unexpected internal server error occurred.');
   }
-});
+}
 
 // Start server
 async function runServer() {
   safeLog('info', "Starting Proxycurl MCP server...");
+
+  await cursorStore.load();
+
+  if (creditBudget) {
+    await creditBudget.load();
+    safeLog('info', 'Credit budget enabled', creditBudget.getStatus());
+  }
   
+  if (TRANSPORT === 'http') {
+    const httpTransport = await startHttpTransport({
+      host: HTTP_HOST,
+      port: HTTP_PORT,
+      authToken: HTTP_AUTH_TOKEN,
+      sessionIdleTimeoutMs: (getNumericSetting('--session-idle-timeout', 'PROXYCURL_MCP_SESSION_IDLE_TIMEOUT') ?? 1800) * 1000,
+      createServer: createMcpServer,
+      getHealth: () => ({ transport: 'http', dry_run: DRY_RUN_MODE, requests: requestScheduler?.getStatus() ?? null, circuits: circuitBreaker?.getStatus() ?? null }),
+      log: safeLog
+    });
+    safeLog('info', `Proxycurl MCP Server listening on ${httpTransport.url} (Streamable HTTP at /mcp, SSE at /sse, health at /health)`);
+
+    const shutdown = async () => {
+      safeLog('info', 'Shutting down HTTP transport...');
+      await httpTransport.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    return;
+  }
+
   // Use stdio transport
   const transport = new StdioServerTransport();
   // The correct way to start the server is to use the server.connect method
   // which matches the implementation in the official examples
-  await server.connect(transport);
+  await createMcpServer().connect(transport);
   safeLog('info', "Proxycurl MCP Server running on stdio");
 }
 
@@ -0,0 +1,640 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Proxycurl API server for offline integration testing
+ *
+ * Implements the endpoints the MCP server uses with seeded synthetic data, next_page pagination,
+ * credit accounting and injectable failures. Point the MCP server at it with --base-url.
+ *
+ * Usage:
+ *   node tests/fake-proxycurl-server.js [--port 8787] [--host 127.0.0.1] [--seed 42] [--credits 10000]
+ *                                       [--api-key KEY] [--latency-ms 0] [--retry-after 1]
+ *                                       [--fail <status|drop|hang>[:count][@endpoint]] ...
+ *
+ * Control endpoints (for test scripts):
+ *   GET  /__fake/state             credits, request count, pending failures, sample identifiers
+ *   POST /__fake/fail              {"status": 429, "count": 2, "endpoint": "person_search"}
+ *                                  (status "drop" closes the connection, "hang" never answers)
+ *   POST /__fake/credits           {"credits": 100}
+ *   POST /__fake/reset             restore the initial credits and clear failures
+ */
+
+import http from "http";
+import { fileURLToPath } from "url";
+import { getEndpointName } from "../lib/endpoints.js";
+
+const FIRST_NAMES = ['Ada', 'Ben', 'Chloe', 'Daniel', 'Elena', 'Farid', 'Grace', 'Hiro', 'Ines', 'Jonas',
+  'Kara', 'Liam', 'Maya', 'Noah', 'Olivia', 'Priya', 'Quinn', 'Rosa', 'Sven', 'Tara'];
+const LAST_NAMES = ['Anderson', 'Becker', 'Chen', 'Diaz', 'Evans', 'Fischer', 'Garcia', 'Hansen', 'Ito', 'Jensen',
+  'Kumar', 'Lopez', 'Muller', 'Nakamura', 'Okafor', 'Patel', 'Rossi', 'Schmidt', 'Tanaka', 'Weber'];
+const TITLES = ['Software Engineer', 'Senior Software Engineer', 'Engineering Manager', 'Product Manager',
+  'Data Scientist', 'CTO', 'CEO', 'VP of Sales', 'Account Executive', 'Product Designer', 'Recruiter', 'Marketing Manager'];
+const LOCATIONS = [
+  { city: 'San Francisco', state: 'California', country: 'US', country_full_name: 'United States' },
+  { city: 'New York', state: 'New York', country: 'US', country_full_name: 'United States' },
+  { city: 'Berlin', state: 'Berlin', country: 'DE', country_full_name: 'Germany' },
+  { city: 'London', state: 'England', country: 'GB', country_full_name: 'United Kingdom' },
+  { city: 'Singapore', state: 'Singapore', country: 'SG', country_full_name: 'Singapore' }
+];
+const COMPANY_NAMES = ['Acme Robotics', 'Globex Analytics', 'Initech Software', 'Umbrella Health', 'Hooli Cloud',
+  'Vandelay Imports', 'Stark Energy', 'Wonka Foods', 'Tyrell Systems', 'Cyberdyne Labs', 'Soylent Bio', 'Pied Piper'];
+const INDUSTRIES = ['Software Development', 'Financial Services', 'Hospitals and Health Care', 'Retail', 'Renewable Energy'];
+const COMPANY_TYPES = ['PRIVATELY_HELD', 'PUBLIC_COMPANY', 'PARTNERSHIP'];
+const SCHOOLS = ['Stanford University', 'TU Berlin', 'University of Oxford', 'National University of Singapore', 'MIT'];
+const SKILLS = ['JavaScript', 'Python', 'Machine Learning', 'Sales', 'Leadership', 'Product Strategy', 'SQL', 'Design'];
+
+// Small deterministic PRNG so every run with the same seed produces the same dataset
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+function buildDataset(seed) {
+  const random = createRandom(seed);
+
+  const companies = COMPANY_NAMES.map((name, index) => {
+    const location = random.pick(LOCATIONS);
+    const slug = slugify(name);
+    const employeeCount = random.int(20, 20000);
+    return {
+      public_identifier: slug,
+      linkedin_internal_id: String(1000000 + index),
+      name,
+      domain: `${slug}.com`,
+      website: `https://www.${slug}.com`,
+      description: `${name} builds products for the ${random.pick(INDUSTRIES).toLowerCase()} market.`,
+      tagline: `${name} - synthetic test company`,
+      industry: random.pick(INDUSTRIES),
+      company_type: random.pick(COMPANY_TYPES),
+      company_size: [Math.floor(employeeCount / 2), employeeCount],
+      company_size_on_linkedin: employeeCount,
+      founded_year: random.int(1950, 2020),
+      follower_count: random.int(100, 500000),
+      hq: { ...location, is_hq: true, line_1: `${random.int(1, 999)} Main Street`, postal_code: String(random.int(10000, 99999)) },
+      specialities: [random.pick(SKILLS), random.pick(SKILLS)],
+      funding_total_usd: random.int(0, 50) * 1000000
+    };
+  });
+
+  const people = [];
+  for (let index = 0; index < 240; index++) {
+    // The first person stands in for the public profile the MCP server uses to validate API keys
+    const firstName = index === 0 ? 'William' : random.pick(FIRST_NAMES);
+    const lastName = index === 0 ? 'Gates' : random.pick(LAST_NAMES);
+    const company = random.pick(companies);
+    const pastCompany = random.pick(companies.filter(candidate => candidate !== company));
+    const title = random.pick(TITLES);
+    const location = random.pick(LOCATIONS);
+    const startYear = random.int(2012, 2024);
+    people.push({
+      public_identifier: index === 0 ? 'williamhgates' : `${slugify(firstName)}-${slugify(lastName)}-${index}`,
+      first_name: firstName,
+      last_name: lastName,
+      full_name: `${firstName} ${lastName}`,
+      headline: `${title} at ${company.name}`,
+      summary: `${title} with experience in ${random.pick(SKILLS)} and ${random.pick(SKILLS)}.`,
+      occupation: `${title} at ${company.name}`,
+      ...location,
+      follower_count: random.int(10, 20000),
+      connections: random.int(10, 500),
+      skills: [random.pick(SKILLS), random.pick(SKILLS), random.pick(SKILLS)],
+      company,
+      pastCompany,
+      title,
+      pastTitle: random.pick(TITLES),
+      startYear,
+      school: random.pick(SCHOOLS)
+    });
+  }
+
+  return { companies, people };
+}
+
+function personUrl(person) {
+  return `https://www.linkedin.com/in/${person.public_identifier}`;
+}
+
+function companyUrl(company) {
+  return `https://www.linkedin.com/company/${company.public_identifier}`;
+}
+
+// Full person profile in the shape of Proxycurl's Person Profile Endpoint
+function renderPerson(person, people) {
+  const others = people.filter(other => other !== person);
+  return {
+    public_identifier: person.public_identifier,
+    profile_pic_url: null,
+    background_cover_image_url: null,
+    first_name: person.first_name,
+    last_name: person.last_name,
+    full_name: person.full_name,
+    follower_count: person.follower_count,
+    occupation: person.occupation,
+    headline: person.headline,
+    summary: person.summary,
+    country: person.country,
+    country_full_name: person.country_full_name,
+    city: person.city,
+    state: person.state,
+    experiences: [
+      {
+        starts_at: { day: 1, month: 3, year: person.startYear },
+        ends_at: null,
+        company: person.company.name,
+        company_linkedin_profile_url: companyUrl(person.company),
+        title: person.title,
+        description: `Working on ${person.skills[0]} at ${person.company.name}.`,
+        location: `${person.city}, ${person.country_full_name}`,
+        logo_url: null
+      },
+      {
+        starts_at: { day: 1, month: 6, year: person.startYear - 4 },
+        ends_at: { day: 28, month: 2, year: person.startYear },
+        company: person.pastCompany.name,
+        company_linkedin_profile_url: companyUrl(person.pastCompany),
+        title: person.pastTitle,
+        description: null,
+        location: null,
+        logo_url: null
+      }
+    ],
+    education: [
+      {
+        starts_at: { day: 1, month: 9, year: person.startYear - 8 },
+        ends_at: { day: 30, month: 6, year: person.startYear - 4 },
+        field_of_study: 'Computer Science',
+        degree_name: 'Bachelor of Science',
+        school: person.school,
+        school_linkedin_profile_url: `https://www.linkedin.com/school/${slugify(person.school)}`,
+        description: null,
+        logo_url: null
+      }
+    ],
+    languages: ['English'],
+    skills: person.skills,
+    connections: person.connections,
+    accomplishment_organisations: [],
+    accomplishment_publications: [],
+    accomplishment_honors_awards: [],
+    accomplishment_patents: [],
+    accomplishment_courses: [],
+    accomplishment_projects: [],
+    accomplishment_test_scores: [],
+    volunteer_work: [],
+    certifications: [],
+    recommendations: [`${person.first_name} is a pleasure to work with.`],
+    activities: [],
+    articles: [],
+    groups: [],
+    people_also_viewed: others.slice(0, 5).map(other => ({
+      link: personUrl(other),
+      name: other.full_name,
+      summary: other.headline,
+      location: other.city
+    })),
+    similarly_named_profiles: others.filter(other => other.first_name === person.first_name).slice(0, 3).map(other => ({
+      name: other.full_name,
+      link: personUrl(other),
+      summary: other.headline,
+      location: other.city
+    }))
+  };
+}
+
+// Company profile in the shape of Proxycurl's Company Profile Endpoint
+function renderCompany(company, params) {
+  const profile = {
+    linkedin_internal_id: company.linkedin_internal_id,
+    description: company.description,
+    website: company.website,
+    industry: company.industry,
+    company_size: company.company_size,
+    company_size_on_linkedin: company.company_size_on_linkedin,
+    hq: company.hq,
+    company_type: company.company_type,
+    founded_year: company.founded_year,
+    specialities: company.specialities,
+    locations: [company.hq],
+    name: company.name,
+    tagline: company.tagline,
+    universal_name_id: company.public_identifier,
+    profile_pic_url: null,
+    background_cover_image_url: null,
+    search_id: company.linkedin_internal_id,
+    similar_companies: [],
+    affiliated_companies: [],
+    updates: [],
+    follower_count: company.follower_count
+  };
+  if (params.get('funding_data') === 'include') {
+    profile.funding_data = company.funding_total_usd > 0
+      ? [{ funding_type: 'Series A', money_raised: company.funding_total_usd, announced_date: { day: 1, month: 1, year: 2021 }, number_of_investor: 3, investor_list: [] }]
+      : [];
+  }
+  if (params.get('extra') === 'include') {
+    profile.extra = { ipo_status: company.company_type === 'PUBLIC_COMPANY' ? 'Public' : 'Private', total_funding_amount: company.funding_total_usd };
+  }
+  return profile;
+}
+
+// Match a value against a (simplified) Proxycurl search expression: quoted phrases, OR, AND, and -exclusions
+function matchesExpression(value, expression) {
+  if (!expression) return true;
+  const text = String(value || '').toLowerCase();
+  return expression.split(/\s+OR\s+|\s*\|\|\s*/).some(alternative => {
+    return alternative.split(/\s+AND\s+|\s*&&\s*/).every(term => {
+      const cleaned = term.trim().replace(/^\(+|\)+$/g, '').replace(/"/g, '').toLowerCase();
+      if (!cleaned) return true;
+      if (cleaned.startsWith('-')) return !text.includes(cleaned.slice(1));
+      return text.includes(cleaned);
+    });
+  });
+}
+
+function identifierFromUrl(url, kind) {
+  const match = String(url || '').match(new RegExp(`/${kind}/([^/?#]+)`));
+  return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+}
+
+const ERROR_BODIES = {
+  400: { code: 400, description: 'Invalid parameters provided', name: 'Bad Request' },
+  401: { code: 401, description: 'Invalid API key', name: 'Unauthorized' },
+  403: { code: 403, description: 'Not enough credits', name: 'Forbidden' },
+  404: { code: 404, description: 'Not found', name: 'Not Found' },
+  429: { code: 429, description: 'Rate limited. Please retry', name: 'Too Many Requests' },
+  500: { code: 500, description: 'There is an error with our API. Please Contact us for support', name: 'Internal Server Error' },
+  503: { code: 503, description: 'Enrichment failed, please retry.', name: 'Service Unavailable' }
+};
+
+// Failures that are not an HTTP status: close the connection without a response, or never answer
+const NETWORK_FAILURES = ['drop', 'hang'];
+
+function parseFailureStatus(status) {
+  return NETWORK_FAILURES.includes(status) ? status : Number(status);
+}
+
+function parseFailureSpec(spec) {
+  // <status|drop|hang>[:count][@endpoint], e.g. 429:2@person_search
+  const match = String(spec).match(/^(\d{3}|drop|hang)(?::(\d+))?(?:@(\w+))?$/);
+  if (!match) {
+    throw new Error(`Invalid failure spec '${spec}'. Expected <status|drop|hang>[:count][@endpoint]`);
+  }
+  return { status: parseFailureStatus(match[1]), count: match[2] ? Number(match[2]) : 1, endpoint: match[3] || null };
+}
+
+export async function startFakeProxycurlServer({
+  port = 0,
+  host = '127.0.0.1',
+  seed = 42,
+  credits = 10000,
+  apiKey = null,
+  latencyMs = 0,
+  retryAfterSeconds = 1,
+  failures = [],
+  log = () => {}
+} = {}) {
+  const dataset = buildDataset(seed);
+  const state = {
+    credits,
+    requests: 0,
+    requestLog: [],
+    failures: failures.map(failure => (typeof failure === 'string' ? parseFailureSpec(failure) : { count: 1, endpoint: null, ...failure }))
+  };
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const sendError = (res, status) => {
+    const headers = status === 429 ? { 'Retry-After': String(retryAfterSeconds) } : {};
+    sendJson(res, status, ERROR_BODIES[status] || { code: status, description: 'Injected failure', name: 'Error' }, headers);
+  };
+
+  // Charge credits for a successful response, or answer 403 when the balance is too low
+  const charge = (res, cost, body) => {
+    if (cost > state.credits) {
+      sendError(res, 403);
+      return;
+    }
+    state.credits -= cost;
+    sendJson(res, 200, body, { 'X-Proxycurl-Credit-Cost': String(cost) });
+  };
+
+  // Paginate a list; next_page repeats the query with an `after` offset
+  const paginate = (req, url, items, defaultPageSize) => {
+    const pageSize = Math.max(1, Number(url.searchParams.get('page_size')) || defaultPageSize);
+    const offset = Number(url.searchParams.get('after')) || 0;
+    const page = items.slice(offset, offset + pageSize);
+    let nextPage = null;
+    if (offset + pageSize < items.length) {
+      const next = new URL(url);
+      next.searchParams.set('after', String(offset + pageSize));
+      nextPage = `http://${req.headers.host}${next.pathname}${next.search}`;
+    }
+    return { page, nextPage };
+  };
+
+  const findCompany = (value) => {
+    const identifier = identifierFromUrl(value, 'company');
+    return dataset.companies.find(company => company.public_identifier === identifier || company.linkedin_internal_id === identifier);
+  };
+
+  const handleApi = (req, res, url) => {
+    const endpoint = getEndpointName(url.pathname);
+    const params = url.searchParams;
+    const enrich = params.get('enrich_profiles') === 'enrich';
+
+    switch (endpoint) {
+      case 'credit_balance':
+        return sendJson(res, 200, { credit_balance: state.credits });
+
+      case 'person_profile': {
+        const identifier = identifierFromUrl(params.get('url') || params.get('linkedin_profile_url'), 'in');
+        const person = dataset.people.find(candidate => candidate.public_identifier === identifier);
+        if (!person) return sendError(res, 404);
+        const extras = ['extra', 'github_profile_id', 'facebook_profile_id', 'twitter_profile_id', 'personal_contact_number',
+          'personal_email', 'inferred_salary', 'skills'].filter(name => params.get(name) === 'include').length;
+        return charge(res, 1 + extras, renderPerson(person, dataset.people));
+      }
+
+      case 'company_profile': {
+        const company = findCompany(params.get('url'));
+        if (!company) return sendError(res, 404);
+        const extras = ['categories', 'funding_data', 'exit_data', 'acquisitions', 'extra'].filter(name => params.get(name) === 'include').length;
+        return charge(res, 1 + extras, renderCompany(company, params));
+      }
+
+      case 'person_lookup': {
+        if (!params.get('first_name') || !params.get('company_domain')) return sendError(res, 400);
+        const domain = params.get('company_domain').toLowerCase();
+        const person = dataset.people.find(candidate =>
+          candidate.first_name.toLowerCase() === params.get('first_name').toLowerCase()
+          && (!params.get('last_name') || candidate.last_name.toLowerCase() === params.get('last_name').toLowerCase())
+          && (candidate.company.domain === domain || candidate.company.public_identifier === domain || candidate.company.name.toLowerCase() === domain));
+        const enrichProfile = params.get('enrich_profile') === 'enrich';
+        if (!person) {
+          // Similarity checks are charged even when nothing is found
+          return charge(res, params.get('similarity_checks') === 'skip' ? 0 : 2, { url: null, profile: null });
+        }
+        return charge(res, 2 + (enrichProfile ? 1 : 0), {
+          url: personUrl(person),
+          name_similarity_score: 1,
+          company_similarity_score: 1,
+          title_similarity_score: params.get('title') ? 0.8 : null,
+          location_similarity_score: params.get('location') ? 0.8 : null,
+          last_updated: '2025-01-01T00:00:00Z',
+          profile: enrichProfile ? renderPerson(person, dataset.people) : null
+        });
+      }
+
+      case 'employee_listing': {
+        const company = findCompany(params.get('url'));
+        if (!company) return sendError(res, 404);
+        const status = params.get('employment_status') || 'current';
+        let employees = dataset.people.filter(person =>
+          (status !== 'past' && person.company === company) || (status !== 'current' && person.pastCompany === company));
+        if (params.get('role_search')) {
+          let pattern;
+          try {
+            pattern = new RegExp(params.get('role_search'), 'i');
+          } catch (error) {
+            return sendError(res, 400);
+          }
+          employees = employees.filter(person => pattern.test(person.title));
+        }
+        if (params.get('country')) {
+          const countries = params.get('country').toLowerCase().split(',');
+          employees = employees.filter(person => countries.includes(person.country.toLowerCase()));
+        }
+        const { page, nextPage } = paginate(req, url, employees, 10);
+        return charge(res, page.length * (3 + (enrich ? 1 : 0)), {
+          employees: page.map(person => ({
+            profile_url: personUrl(person),
+            profile: enrich ? renderPerson(person, dataset.people) : null,
+            last_updated: enrich ? '2025-01-01T00:00:00Z' : null
+          })),
+          next_page: nextPage
+        });
+      }
+
+      case 'person_search': {
+        const filters = {
+          first_name: person => person.first_name,
+          last_name: person => person.last_name,
+          headline: person => person.headline,
+          summary: person => person.summary,
+          current_role_title: person => person.title,
+          past_role_title: person => person.pastTitle,
+          city: person => person.city,
+          region: person => person.state,
+          current_company_name: person => person.company.name,
+          past_company_name: person => person.pastCompany.name,
+          current_company_industry: person => person.company.industry,
+          skills: person => person.skills.join(' '),
+          education_school_name: person => person.school
+        };
+        let results = dataset.people.filter(person =>
+          Object.entries(filters).every(([name, getValue]) => matchesExpression(getValue(person), params.get(name))));
+        if (params.get('country')) {
+          results = results.filter(person => person.country.toLowerCase() === params.get('country').toLowerCase());
+        }
+        if (params.get('current_company_linkedin_profile_url')) {
+          const company = findCompany(params.get('current_company_linkedin_profile_url'));
+          results = results.filter(person => person.company === company);
+        }
+        const { page, nextPage } = paginate(req, url, results, 100);
+        return charge(res, page.length * (3 + (enrich ? 1 : 0)), {
+          results: page.map(person => ({
+            linkedin_profile_url: personUrl(person),
+            profile: enrich ? renderPerson(person, dataset.people) : null,
+            last_updated: enrich ? '2025-01-01T00:00:00Z' : null
+          })),
+          next_page: nextPage,
+          total_result_count: results.length
+        });
+      }
+
+      case 'company_search': {
+        let results = dataset.companies.filter(company =>
+          matchesExpression(company.name, params.get('name'))
+          && matchesExpression(company.industry, params.get('industry'))
+          && matchesExpression(company.description, params.get('description'))
+          && matchesExpression(company.hq.city, params.get('city')));
+        const numericFilters = [
+          ['employee_count_min', company => company.company_size_on_linkedin, (value, limit) => value >= limit],
+          ['employee_count_max', company => company.company_size_on_linkedin, (value, limit) => value <= limit],
+          ['founded_after_year', company => company.founded_year, (value, limit) => value >= limit],
+          ['founded_before_year', company => company.founded_year, (value, limit) => value <= limit],
+          ['follower_count_min', company => company.follower_count, (value, limit) => value >= limit],
+          ['follower_count_max', company => company.follower_count, (value, limit) => value <= limit]
+        ];
+        for (const [name, getValue, compare] of numericFilters) {
+          if (params.get(name)) {
+            results = results.filter(company => compare(getValue(company), Number(params.get(name))));
+          }
+        }
+        if (params.get('country')) {
+          results = results.filter(company => company.hq.country.toLowerCase() === params.get('country').toLowerCase());
+        }
+        if (params.get('type')) {
+          results = results.filter(company => company.company_type === params.get('type'));
+        }
+        const { page, nextPage } = paginate(req, url, results, 100);
+        return charge(res, page.length * (3 + (enrich ? 1 : 0)), {
+          results: page.map(company => ({
+            linkedin_profile_url: companyUrl(company),
+            profile: enrich ? renderCompany(company, params) : null,
+            last_updated: enrich ? '2025-01-01T00:00:00Z' : null
+          })),
+          next_page: nextPage,
+          total_result_count: results.length
+        });
+      }
+
+      default:
+        return sendError(res, 404);
+    }
+  };
+
+  const readBody = req => new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+  const handleControl = async (req, res, url) => {
+    switch (`${req.method} ${url.pathname}`) {
+      case 'GET /__fake/state':
+        return sendJson(res, 200, {
+          credits: state.credits,
+          requests: state.requests,
+          request_log: state.requestLog,
+          failures: state.failures,
+          people: dataset.people.slice(0, 10).map(personUrl),
+          companies: dataset.companies.map(companyUrl)
+        });
+      case 'POST /__fake/fail': {
+        const body = await readBody(req);
+        state.failures.push({ status: parseFailureStatus(body.status), count: Number(body.count) || 1, endpoint: body.endpoint || null });
+        return sendJson(res, 200, { failures: state.failures });
+      }
+      case 'POST /__fake/credits': {
+        const body = await readBody(req);
+        state.credits = Number(body.credits) || 0;
+        return sendJson(res, 200, { credits: state.credits });
+      }
+      case 'POST /__fake/reset':
+        state.credits = credits;
+        state.failures = [];
+        state.requests = 0;
+        state.requestLog = [];
+        return sendJson(res, 200, { credits: state.credits });
+      default:
+        return sendError(res, 404);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname.startsWith('/__fake/')) {
+      return handleControl(req, res, url);
+    }
+
+    state.requests += 1;
+    const endpoint = getEndpointName(url.pathname);
+    state.requestLog.push({ endpoint, query: Object.fromEntries(url.searchParams) });
+    log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Bearer ') || (apiKey && authorization !== `Bearer ${apiKey}`)) {
+      return sendError(res, 401);
+    }
+
+    // Injected failures are consumed in order, optionally only for one endpoint
+    const failure = state.failures.find(candidate => !candidate.endpoint || candidate.endpoint === endpoint);
+    if (failure) {
+      failure.count -= 1;
+      if (failure.count <= 0) {
+        state.failures.splice(state.failures.indexOf(failure), 1);
+      }
+      if (failure.status === 'drop') {
+        return req.socket.destroy();
+      }
+      if (failure.status === 'hang') {
+        return; // The client has to time out
+      }
+      return sendError(res, failure.status);
+    }
+
+    handleApi(req, res, url);
+  });
+
+  await new Promise(resolve => server.listen(port, host, resolve));
+  const address = server.address();
+  const baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    baseUrl,
+    state,
+    dataset,
+    injectFailure: (status, count = 1, endpoint = null) => state.failures.push({ status, count, endpoint }),
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections(); // Including requests left hanging
+    })
+  };
+}
+
+// Run as a standalone server when executed directly
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const cliArgs = process.argv.slice(2);
+  const getValue = (flag, fallback) => {
+    const index = cliArgs.indexOf(flag);
+    return index !== -1 && index + 1 < cliArgs.length ? cliArgs[index + 1] : fallback;
+  };
+  const failureSpecs = cliArgs.flatMap((arg, index) => (arg === '--fail' ? [cliArgs[index + 1]] : []));
+
+  const fake = await startFakeProxycurlServer({
+    port: Number(getValue('--port', 8787)),
+    host: getValue('--host', '127.0.0.1'),
+    seed: Number(getValue('--seed', 42)),
+    credits: Number(getValue('--credits', 10000)),
+    apiKey: getValue('--api-key', null),
+    latencyMs: Number(getValue('--latency-ms', 0)),
+    retryAfterSeconds: Number(getValue('--retry-after', 1)),
+    failures: failureSpecs,
+    log: message => console.log(message)
+  });
+
+  console.log(`Fake Proxycurl API listening on ${fake.baseUrl}`);
+  console.log(`Start the MCP server with: node server.js --api-key test-key-1234567890 --base-url ${fake.baseUrl}`);
+  console.log(`Sample person: ${fake.dataset.people.slice(0, 1).map(personUrl)[0]}`);
+  console.log(`Sample company: ${companyUrl(fake.dataset.companies[0])}`);
+}
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP transport test
+ * Runs lib/http-transport.js with a minimal MCP server on a local port and checks authentication, the health
+ * endpoint, the Host / Origin checks of a server without a token, and the life cycle of Streamable HTTP sessions.
+ * Needs no API key and no network access.
+ *
+ * Usage: npm test   (or: node tests/test-http-transport.js)
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpTransport } from '../lib/http-transport.js';
+
+const AUTH_TOKEN = 'transport-test-token';
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function createServer() {
+  const server = new Server({ name: 'transport-test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [] }));
+  return server;
+}
+
+// Start a transport on a free port, run `fn` with it and close it again
+async function withTransport(options, fn) {
+  const transport = await startHttpTransport({ host: '127.0.0.1', port: 0, createServer, ...options });
+  try {
+    await fn(transport);
+  } finally {
+    await transport.close();
+  }
+}
+
+async function connectClient(url, token = AUTH_TOKEN) {
+  const clientTransport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+    requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : {}
+  });
+  const client = new Client({ name: 'transport-test-client', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return { client, clientTransport };
+}
+
+// A raw request, so the Host and Origin headers can be set freely (fetch does not allow a custom Host)
+function request(url, { method = 'GET', path = '/health', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${url}${path}`, { method, headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the health endpoint needs no token', async () => {
+  await withTransport({ authToken: AUTH_TOKEN, getHealth: () => ({ transport: 'http' }) }, async ({ url }) => {
+    const { status, body } = await request(url);
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.sessions, 0);
+    assert.equal(body.transport, 'http');
+  });
+});
+
+test('MCP requests without the bearer token are rejected with 401', async () => {
+  await withTransport({ authToken: AUTH_TOKEN }, async ({ url }) => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: AUTH_TOKEN }]) {
+      const { status, headers: responseHeaders } = await request(url, { method: 'POST', path: '/mcp', headers });
+      assert.equal(status, 401);
+      assert.equal(responseHeaders['www-authenticate'], 'Bearer');
+    }
+    await assert.rejects(connectClient(url, 'wrong-token'));
+  });
+});
+
+test('a session is created, reused and ended with DELETE', async () => {
+  await withTransport({ authToken: AUTH_TOKEN }, async ({ url, sessions }) => {
+    const { client, clientTransport } = await connectClient(url);
+    assert.equal(sessions.size, 1);
+    const sessionId = clientTransport.sessionId;
+    assert.ok(sessions.has(sessionId));
+
+    await client.listTools();
+    await client.listTools();
+    assert.equal(sessions.size, 1);
+
+    await clientTransport.terminateSession();
+    assert.equal(sessions.size, 0);
+    const { status } = await request(url, { method: 'POST', path: '/mcp', headers: { Authorization: `Bearer ${AUTH_TOKEN}`, 'Mcp-Session-Id': sessionId } });
+    assert.equal(status, 404);
+    await client.close();
+  });
+});
+
+test('idle sessions are closed by the sweep', async () => {
+  await withTransport({ authToken: AUTH_TOKEN, sessionIdleTimeoutMs: 200 }, async ({ url, sessions }) => {
+    const { client } = await connectClient(url);
+    assert.equal(sessions.size, 1);
+    // The sweep runs at most once a second
+    await wait(1300);
+    assert.equal(sessions.size, 0);
+    await client.close();
+  });
+});
+
+test('an idle timeout of 0 keeps sessions open', async () => {
+  await withTransport({ authToken: AUTH_TOKEN, sessionIdleTimeoutMs: 0 }, async ({ url, sessions }) => {
+    const { client } = await connectClient(url);
+    await wait(1300);
+    assert.equal(sessions.size, 1);
+    await client.listTools();
+    await client.close();
+  });
+});
+
+test('without a token only loopback Host and Origin headers are accepted', async () => {
+  await withTransport({}, async ({ url }) => {
+    const { port } = new URL(url);
+    assert.equal((await request(url)).status, 200);
+    assert.equal((await request(url, { headers: { Host: `localhost:${port}`, Origin: `http://localhost:${port}` } })).status, 200);
+    assert.equal((await request(url, { headers: { Host: `[::1]:${port}` } })).status, 200);
+    assert.equal((await request(url, { headers: { Host: `attacker.example:${port}` } })).status, 403);
+    assert.equal((await request(url, { headers: { Origin: 'http://attacker.example' } })).status, 403);
+    assert.equal((await request(url, { headers: { Origin: 'null' } })).status, 403);
+
+    const { client } = await connectClient(url, null);
+    await client.listTools();
+    await client.close();
+  });
+});
+
+async function main() {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`✗ ${name}\n  ${error.message}`);
+    }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
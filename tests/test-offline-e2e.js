@@ -0,0 +1,671 @@
+#!/usr/bin/env node
+
+/**
+ * Offline end-to-end test
+ * Starts the fake Proxycurl server, runs the MCP server against it over stdio and exercises every tool,
+ * pagination, retries and credit exhaustion. Needs no API key and no network access.
+ *
+ * Usage: npm test   (or: node tests/test-offline-e2e.js)
+ */
+
+import assert from 'assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { startFakeProxycurlServer } from './fake-proxycurl-server.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = join(__dirname, '..', 'server.js');
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Tool results carry the result as structuredContent; the content blocks are a text summary, the same result
+// as JSON and, when the call has any, the metadata
+function parseResult(result) {
+  assert.ok(!result.isError, `Tool returned an error: ${JSON.stringify(result.content)}`);
+  const data = result.structuredContent;
+  assert.deepEqual(JSON.parse(result.content[1].text), data);
+  const metadataBlock = result.content[2];
+  return { data, metadata: metadataBlock ? JSON.parse(metadataBlock.text).metadata : null };
+}
+
+// A failed call's error result: the message, then the error code and classification as JSON
+function parseError(result) {
+  assert.ok(result.isError, `Tool call did not fail: ${JSON.stringify(result.content)}`);
+  return { message: result.content[0].text, error: JSON.parse(result.content[1].text).error };
+}
+
+// Check a value against the parts of JSON Schema the output schemas use (anyOf, type, const, enum, required,
+// properties, items)
+function schemaErrors(schema, value, path = '$') {
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => schemaErrors(branch, value, path));
+    return branches.some(errors => errors.length === 0) ? [] : branches.flat();
+  }
+  const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${path}: expected ${schema.const}, got ${value}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${value} is not one of ${schema.enum.join(', ')}`];
+  }
+  const missing = actual === 'object' ? (schema.required || []).filter(key => value[key] === undefined) : [];
+  if (missing.length > 0) {
+    return missing.map(key => `${path}.${key}: is required`);
+  }
+  if (actual === 'object' && schema.properties) {
+    return Object.entries(schema.properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, property]) => schemaErrors(property, value[key], `${path}.${key}`));
+  }
+  if (actual === 'array' && schema.items) {
+    return value.flatMap((item, index) => schemaErrors(schema.items, item, `${path}[${index}]`));
+  }
+  return [];
+}
+
+let fake;
+let client;
+
+const personUrl = () => `https://www.linkedin.com/in/${fake.dataset.people[1].public_identifier}`;
+const companyUrl = () => `https://www.linkedin.com/company/${fake.dataset.companies[0].public_identifier}`;
+
+test('lists every tool', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map(tool => tool.name);
+  for (const name of ['get_person_profile', 'get_company_profile', 'lookup_profile_by_person_name', 'search_employees',
+    'search_people', 'advanced_search_companies', 'reset_search_state', 'get_credit_balance', 'test_api_key']) {
+    assert.ok(names.includes(name), `missing tool ${name}`);
+  }
+});
+
+test('tools can be enabled and disabled by configuration', async () => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-tools-'));
+  const restricted = await connectServer(dataDir, ['--enable-tools', 'get_credit_balance,test_api_key,reset_search_state'],
+    { PROXYCURL_DISABLED_TOOLS: 'reset_search_state' });
+  try {
+    const { tools } = await restricted.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), ['get_credit_balance', 'test_api_key']);
+    parseResult(await restricted.callTool({ name: 'get_credit_balance', arguments: {} }));
+    await assert.rejects(restricted.callTool({ name: 'reset_search_state', arguments: {} }), { code: -32602, message: /'reset_search_state' is disabled/ });
+    await assert.rejects(restricted.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), dry_run: true } }), /'get_person_profile' is disabled/);
+    await assert.rejects(restricted.callTool({ name: 'no_such_tool', arguments: {} }), { code: -32602, message: /'no_such_tool' not found/ });
+  } finally {
+    await restricted.close().catch(() => {});
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('test_api_key validates against the fake server', async () => {
+  const { data } = parseResult(await client.callTool({ name: 'test_api_key', arguments: {} }));
+  assert.equal(data.valid, true);
+});
+
+test('get_person_profile returns the seeded profile and reports credits', async () => {
+  const person = fake.dataset.people[1];
+  const { data, metadata } = parseResult(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl() } }));
+  assert.equal(data.full_name, person.full_name);
+  assert.equal(metadata.credits.spent, 1);
+});
+
+test('a repeated profile request is served from the cache', async () => {
+  const before = fake.state.requests;
+  const { metadata } = parseResult(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl() } }));
+  assert.equal(fake.state.requests, before);
+  assert.equal(metadata.cache.hits, 1);
+});
+
+test('responses are cached per API base URL', async () => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-base-url-'));
+  // The fake server answers under any path prefix, so this is a second API base URL sharing the cache directory
+  const other = await connectServer(dataDir, ['--balance-refresh-interval', '0'], {}, `${fake.baseUrl}/staging`);
+  const main = await connectServer(dataDir, ['--balance-refresh-interval', '0']);
+  try {
+    const args = { linkedin_profile_url: personUrl() };
+    parseResult(await main.callTool({ name: 'get_person_profile', arguments: args }));
+    const before = fake.state.requests;
+    const { metadata } = parseResult(await other.callTool({ name: 'get_person_profile', arguments: args }));
+    assert.equal(metadata.cache.misses, 1);
+    assert.equal(fake.state.requests - before, 1);
+    assert.equal(parseResult(await main.callTool({ name: 'get_person_profile', arguments: args })).metadata.cache.hits, 1);
+  } finally {
+    await other.close();
+    await main.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('only_cache fails with a cache miss error instead of calling Proxycurl', async () => {
+  const before = fake.state.requests;
+  const uncached = `https://www.linkedin.com/in/${fake.dataset.people[7].public_identifier}`;
+  const { message, error } = parseError(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: uncached, cache_mode: 'only_cache' } }));
+  assert.match(message, /No fresh cached response for the person_profile endpoint/);
+  assert.equal(error.code, -32016);
+  assert.equal(error.type, 'cache_miss');
+  assert.equal(error.request_sent, false);
+  assert.equal(fake.state.requests, before);
+});
+
+test('LinkedIn URL variants share the canonical cache entry', async () => {
+  const identifier = fake.dataset.people[1].public_identifier;
+  const before = fake.state.requests;
+  for (const variant of [`de.linkedin.com/in/${identifier.toUpperCase()}/?trk=public_profile`, `http://linkedin.com/in/${identifier}/`, identifier]) {
+    const { data, metadata } = parseResult(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: variant } }));
+    assert.equal(data.public_identifier, identifier);
+    assert.equal(metadata.cache.hits, 1, `${variant} missed the cache`);
+  }
+  assert.equal(fake.state.requests, before);
+
+  const { data: plan } = parseResult(await client.callTool({ name: 'search_employees', arguments: { url: '/company/123456/', dry_run: true } }));
+  assert.equal(plan.request.params.url, 'https://www.linkedin.com/company/123456');
+
+  // Percent-encoded identifiers are encoded exactly once, whether given bare or in a URL
+  for (const variant of ['j%C3%BCrgen', 'J%c3%bcrgen', 'jürgen', 'https://www.linkedin.com/in/j%C3%BCrgen/']) {
+    const { data: profilePlan } = parseResult(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: variant, dry_run: true } }));
+    assert.equal(profilePlan.request.params.linkedin_profile_url, 'https://www.linkedin.com/in/j%C3%BCrgen', variant);
+  }
+});
+
+test('every tool accepts dry_run', async () => {
+  const before = fake.state.requests;
+  const { data: balancePlan } = parseResult(await client.callTool({ name: 'get_credit_balance', arguments: { dry_run: true } }));
+  assert.equal(balancePlan.dry_run, true);
+  assert.equal(balancePlan.request.endpoint, 'credit_balance');
+  assert.equal(balancePlan.cost.estimated_max_credits, 0);
+  const { data: resetPlan } = parseResult(await client.callTool({ name: 'reset_search_state', arguments: { dry_run: true } }));
+  assert.equal(resetPlan.dry_run, true);
+  assert.equal(resetPlan.request, null);
+  assert.equal(fake.state.requests, before);
+});
+
+test('a URL of the wrong entity type is rejected before any request', async () => {
+  const before = fake.state.requests;
+  await assert.rejects(client.callTool({ name: 'get_company_profile', arguments: { url: personUrl() } }),
+    /is a LinkedIn person profile URL, but a company URL is expected.*Use get_person_profile/);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: 'https://example.com/in/someone' } }),
+    /is not a LinkedIn person profile URL/);
+  assert.equal(fake.state.requests, before);
+});
+
+test('get_company_profile returns the seeded company', async () => {
+  const { data } = parseResult(await client.callTool({ name: 'get_company_profile', arguments: { url: companyUrl() } }));
+  assert.equal(data.name, fake.dataset.companies[0].name);
+});
+
+test('lookup_profile_by_person_name resolves a seeded person', async () => {
+  const person = fake.dataset.people[1];
+  const { data } = parseResult(await client.callTool({
+    name: 'lookup_profile_by_person_name',
+    arguments: { first_name: person.first_name, last_name: person.last_name, company_domain: person.company.domain }
+  }));
+  assert.ok(data.url.includes('/in/'));
+});
+
+test('search_employees honours page_size and walks the roster with cursors', async () => {
+  const roster = fake.dataset.people.filter(person => person.company === fake.dataset.companies[0]);
+  let { data } = parseResult(await client.callTool({ name: 'search_employees', arguments: { url: companyUrl(), page_size: 3 } }));
+  assert.equal(data.employees.length, 3);
+  const seen = data.employees.map(employee => employee.profile_url);
+  while (data.cursor) {
+    ({ data } = parseResult(await client.callTool({ name: 'search_employees', arguments: { cursor: data.cursor } })));
+    seen.push(...data.employees.map(employee => employee.profile_url));
+  }
+  assert.equal(new Set(seen).size, roster.length);
+});
+
+test('search_people pages with cursors', async () => {
+  const first = parseResult(await client.callTool({ name: 'search_people', arguments: { country: 'US', page_size: 5 } }));
+  assert.equal(first.data.results.length, 5);
+  assert.ok(first.data.cursor);
+  const second = parseResult(await client.callTool({ name: 'search_people', arguments: { cursor: first.data.cursor } }));
+  assert.equal(second.data.results.length, 5);
+  assert.notEqual(second.data.results[0].linkedin_profile_url, first.data.results[0].linkedin_profile_url);
+
+  // A cursor can be reused, and the deprecated flag continues the latest search
+  const again = parseResult(await client.callTool({ name: 'search_people', arguments: { cursor: first.data.cursor } }));
+  assert.deepEqual(again.data.results, second.data.results);
+  const third = parseResult(await client.callTool({ name: 'search_people', arguments: { get_next_page: true } }));
+  assert.notEqual(third.data.results[0].linkedin_profile_url, second.data.results[0].linkedin_profile_url);
+});
+
+test('max_results follows pages on the server', async () => {
+  const { data } = parseResult(await client.callTool({ name: 'search_people', arguments: { country: 'GB', page_size: 5, max_results: 12 } }));
+  assert.equal(data.results.length, 12);
+  assert.equal(new Set(data.results.map(result => result.linkedin_profile_url)).size, 12);
+  assert.equal(data.pagination.pages, 3);
+  assert.equal(data.pagination.stop_reason, 'max_results');
+  assert.equal(data.pagination.credits_spent, 45);
+});
+
+test('max_results reports each page as progress when the client asks for it', async () => {
+  const updates = [];
+  const { data } = parseResult(await client.callTool(
+    { name: 'search_people', arguments: { country: 'GB', page_size: 5, max_results: 12, cache_mode: 'bypass' } },
+    undefined,
+    { onprogress: update => updates.push(update) }
+  ));
+  assert.equal(data.pagination.pages, 3);
+  // The SDK client can drop the last page's update when it arrives together with the result
+  assert.deepEqual(updates.slice(0, 2).map(update => update.progress), [1, 2]);
+  assert.ok(updates.every(update => update.total === 3));
+  assert.match(updates[1].message, /page 2 of up to 3: 10 of 12 results collected, 30 credits spent so far/);
+});
+
+test('max_credits stops before a page that would exceed it', async () => {
+  const { data } = parseResult(await client.callTool({
+    name: 'search_employees',
+    arguments: { url: companyUrl(), page_size: 2, max_results: 50, max_credits: 10, cache_mode: 'bypass' }
+  }));
+  assert.equal(data.employees.length, 2);
+  assert.equal(data.pagination.stop_reason, 'max_credits');
+  assert.equal(data.pagination.credits_spent, 6);
+  assert.ok(data.cursor);
+});
+
+test('reset_search_state clears cursors', async () => {
+  const first = parseResult(await client.callTool({ name: 'search_people', arguments: { country: 'DE', page_size: 2 } }));
+  const { data } = parseResult(await client.callTool({ name: 'reset_search_state', arguments: { cursor: first.data.cursor } }));
+  assert.equal(data.cleared, 1);
+  await assert.rejects(client.callTool({ name: 'search_people', arguments: { cursor: first.data.cursor } }), { code: -32602, message: /unknown or has expired/ });
+});
+
+test('advanced_search_companies filters by country', async () => {
+  const { data } = parseResult(await client.callTool({ name: 'advanced_search_companies', arguments: { country: 'DE', page_size: 50 } }));
+  const expected = fake.dataset.companies.filter(company => company.hq.country === 'DE').length;
+  assert.equal(data.results.length, expected);
+});
+
+test('advanced_search_companies continues from a cursor', async () => {
+  const first = parseResult(await client.callTool({ name: 'advanced_search_companies', arguments: { page_size: 5 } }));
+  const second = parseResult(await client.callTool({ name: 'advanced_search_companies', arguments: { cursor: first.data.cursor } }));
+  assert.equal(second.data.results[0].linkedin_profile_url, `https://www.linkedin.com/company/${fake.dataset.companies[5].public_identifier}`);
+  await assert.rejects(client.callTool({ name: 'search_employees', arguments: { cursor: first.data.cursor } }), /unknown or has expired/);
+});
+
+test('invalid arguments are rejected with every violation listed', async () => {
+  const args = { headline: 'x'.repeat(256), enrich_profiles: 'yes', page_size: 500, max_credits: 10, query: 'engineers', dry_run: true };
+  const error = await client.callTool({ name: 'search_people', arguments: args }).then(() => null, error => error);
+  assert.ok(error, 'expected the call to be rejected');
+  assert.equal(error.code, -32602); // InvalidParams
+  for (const problem of [
+    'headline: the expression is 256 characters long, Proxycurl accepts at most 255',
+    "Invalid enrich_profiles 'yes'. Valid values: skip, enrich",
+    'page_size: must be at most 100, got 500',
+    'query: is not a parameter of this tool',
+    'max_credits: only works together with max_results'
+  ]) {
+    assert.ok(error.message.includes(problem), `missing "${problem}" in ${error.message}`);
+  }
+
+  await assert.rejects(client.callTool({ name: 'advanced_search_companies', arguments: { country: 'DE', page_size: 20, enrich_profiles: 'enrich' } }),
+    /page_size: must be at most 10 when enrich_profiles is 'enrich'/);
+  await assert.rejects(client.callTool({ name: 'get_company_profile', arguments: { url: companyUrl(), extra: true } }),
+    { code: -32602, message: /extra: expected 'include' \| 'exclude', got boolean/ });
+  await assert.rejects(client.callTool({ name: 'lookup_profile_by_person_name', arguments: { first_name: 'Ada', company_domain: '' } }), /company_domain: is required/);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: {} }),
+    /one of linkedin_profile_url, twitter_profile_url, facebook_profile_url is required/);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), twitter_profile_url: 'https://x.com/someone' } }),
+    /only one of linkedin_profile_url, twitter_profile_url, facebook_profile_url may be given/);
+
+  // Nulls stand for left-out optional parameters
+  const { data } = parseResult(await client.callTool({ name: 'search_employees', arguments: { url: companyUrl(), page_size: 2, country: null } }));
+  assert.equal(data.employees.length, 2);
+});
+
+test('search_people checks Boolean expressions and compiles term lists', async () => {
+  await assert.rejects(client.callTool({ name: 'search_people', arguments: { headline: '"data scientist OR (ml', current_role_title: 'CTO ||', dry_run: true } }),
+    error => /headline: the quote at position 1 is never closed/.test(error.message) && /current_role_title: OR at position 5 needs a term on both sides/.test(error.message));
+  await assert.rejects(client.callTool({ name: 'search_people', arguments: { skills: { any: [] }, dry_run: true } }), /skills: at least one term is needed in all or any/);
+  await assert.rejects(client.callTool({ name: 'search_people', arguments: { headline: 'python - java', dry_run: true } }),
+    /headline: the '-' at position 8 must be followed directly by a term or '\('/);
+
+  const { data: plan } = parseResult(await client.callTool({ name: 'search_people', arguments: {
+    headline: '(python || rust)   &&  \\"machine learning\\"',
+    current_role_title: { all: ['engineer'], any: ['data scientist', 'ML'], none: ['intern'] },
+    summary: 'engineer -(intern OR student)',
+    dry_run: true
+  } }));
+  assert.equal(plan.request.params.headline, '(python OR rust) AND "machine learning"');
+  assert.equal(plan.request.params.summary, 'engineer -(intern OR student)');
+  assert.equal(plan.request.params.current_role_title, 'engineer AND ("data scientist" OR ML) -intern');
+});
+
+test('every tool returns structured content matching its output schema', async () => {
+  const { tools } = await client.listTools();
+  const person = fake.dataset.people[1];
+  const calls = [
+    ['get_person_profile', { linkedin_profile_url: personUrl() }],
+    ['get_company_profile', { url: companyUrl(), funding_data: 'include', extra: 'include' }],
+    ['lookup_profile_by_person_name', { first_name: person.first_name, last_name: person.last_name, company_domain: person.company.domain }],
+    ['search_employees', { url: companyUrl(), page_size: 2, enrich_profiles: 'enrich' }],
+    ['search_people', { country: 'US', page_size: 2, enrich_profiles: 'enrich' }],
+    ['search_people', { country: 'GB', page_size: 5, max_results: 7 }],
+    ['advanced_search_companies', { country: 'DE', page_size: 2, enrich_profiles: 'enrich' }],
+    ['reset_search_state', {}],
+    ['get_credit_balance', {}],
+    ['test_api_key', {}],
+    ['get_person_profile', { linkedin_profile_url: personUrl(), dry_run: true }],
+    ['reset_search_state', { dry_run: true }],
+    ['get_credit_balance', { dry_run: true }],
+    ['test_api_key', { dry_run: true }]
+  ];
+  for (const [name, args] of calls) {
+    const { outputSchema } = tools.find(tool => tool.name === name);
+    assert.equal(outputSchema.type, 'object');
+    const result = await client.callTool({ name, arguments: args });
+    const { data } = parseResult(result);
+    assert.deepEqual(schemaErrors(outputSchema, data), [], `${name} result does not match its output schema`);
+    // A dry run matches the plan alternative of the schema, not just the (all-optional) result alternative
+    const [resultSchema, planSchema] = outputSchema.anyOf;
+    assert.deepEqual(schemaErrors(args.dry_run ? planSchema : resultSchema, data), [], `${name} result does not match its output schema`);
+    assert.ok(result.content[0].text.length > 0);
+  }
+});
+
+test('result summaries describe the data', async () => {
+  const person = fake.dataset.people[1];
+  const profile = await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl() } });
+  assert.ok(profile.content[0].text.startsWith(`${person.full_name} — `));
+  const search = await client.callTool({ name: 'search_people', arguments: { country: 'GB', page_size: 5, max_results: 7 } });
+  assert.match(search.content[0].text, /^7 people of \d+ from 2 pages \(\d+ credits, stopped: max_results\)\./);
+});
+
+test('fields keeps only the listed paths', async () => {
+  const { data, metadata } = parseResult(await client.callTool({
+    name: 'get_person_profile',
+    arguments: { linkedin_profile_url: personUrl(), fields: 'full_name, experiences.title, experiences.nickname' }
+  }));
+  assert.deepEqual(Object.keys(data), ['full_name', 'experiences']);
+  assert.ok(data.experiences.every(experience => Object.keys(experience).join() === 'title'));
+  assert.deepEqual(metadata.response.unmatched_fields, ['experiences.nickname']);
+
+  const search = parseResult(await client.callTool({ name: 'search_people', arguments: { country: 'US', page_size: 2, fields: 'results.linkedin_profile_url' } }));
+  assert.ok(search.data.cursor, 'the cursor survives a projection');
+  assert.deepEqual(Object.keys(search.data.results[0]), ['linkedin_profile_url']);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), fields: 'experiences..title' } }), /Invalid field path/);
+});
+
+test('compact and summary response modes shrink a profile', async () => {
+  const args = { linkedin_profile_url: personUrl() };
+  const full = await client.callTool({ name: 'get_person_profile', arguments: args });
+  const compact = await client.callTool({ name: 'get_person_profile', arguments: { ...args, response_mode: 'compact' } });
+  const { data, metadata } = parseResult(compact);
+  assert.equal(data.people_also_viewed, undefined);
+  assert.equal(data.profile_pic_url, undefined);
+  assert.ok(!JSON.stringify(data).includes('null'));
+  assert.ok(metadata.response.omitted_fields.includes('people_also_viewed'));
+  assert.ok(compact.content[1].text.length < full.content[1].text.length);
+
+  const summary = await client.callTool({ name: 'get_person_profile', arguments: { ...args, response_mode: 'summary' } });
+  const person = fake.dataset.people[1];
+  assert.ok(summary.content[0].text.startsWith(`**${person.full_name}**`));
+  assert.match(summary.content[0].text, /- \*\*Current:\*\* /);
+  assert.equal(summary.content.length, 2, 'summary results have no JSON block');
+  assert.equal(summary.structuredContent.full_name, person.full_name);
+  assert.equal(summary.structuredContent.skills, undefined);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: { ...args, response_mode: 'tiny' } }), /Invalid response_mode/);
+});
+
+test('format markdown renders profiles and result tables', async () => {
+  const person = fake.dataset.people[1];
+  const profile = await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), format: 'markdown' } });
+  const markdown = profile.content[0].text;
+  assert.ok(markdown.startsWith(`# ${person.full_name}\n`));
+  assert.match(markdown, /## Current role\n\*\*/);
+  assert.match(markdown, /## Experience\n\| Period \| Title \| Company \| Location \|/);
+  assert.match(markdown, /## Education\n/);
+  assert.equal(profile.structuredContent.full_name, person.full_name);
+  assert.ok(profile.content.every(block => !block.text.startsWith('{\n  "public_identifier"')), 'markdown results have no JSON block');
+
+  const company = await client.callTool({ name: 'get_company_profile', arguments: { url: companyUrl(), funding_data: 'include', extra: 'include', format: 'markdown' } });
+  assert.match(company.content[0].text, /\| Industry \| /);
+
+  const employees = await client.callTool({ name: 'search_employees', arguments: { url: companyUrl(), page_size: 2, enrich_profiles: 'enrich', format: 'both' } });
+  const { data } = parseResult(employees); // 'both' keeps the JSON block after the markdown
+  const rows = employees.content[0].text.split('\n').filter(line => /^\| \d+ \|/.test(line));
+  assert.equal(rows.length, 2);
+  assert.ok(rows[0].includes(data.employees[0].profile.full_name));
+  assert.match(employees.content[0].text, /pass `cursor: "/);
+  await assert.rejects(client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), format: 'html' } }), /Invalid format/);
+});
+
+test('a burst of profile calls is spread out by the rate limiter', async () => {
+  // The default profile bucket allows a burst of 30, so the rest of the calls wait for tokens
+  const people = fake.dataset.people.slice(2, 42);
+  const results = await Promise.all(people.map(person => client.callTool({
+    name: 'get_person_profile',
+    arguments: { linkedin_profile_url: `https://www.linkedin.com/in/${person.public_identifier}` }
+  })));
+  const waited = results.map(result => parseResult(result).metadata.rate_limit?.waited_ms || 0);
+  assert.ok(waited.filter(ms => ms > 0).length >= 10, `expected at least 10 delayed calls, got ${JSON.stringify(waited)}`);
+  assert.ok(Math.max(...waited) >= 1500, `expected the last calls to wait about 2s, got ${Math.max(...waited)}ms`);
+});
+
+test('get_credit_balance matches the fake server balance', async () => {
+  const { data } = parseResult(await client.callTool({ name: 'get_credit_balance', arguments: {} }));
+  assert.equal(data.credit_balance, fake.state.credits);
+});
+
+test('a 503 is retried and the call succeeds', async () => {
+  fake.injectFailure(503, 1, 'company_profile');
+  const before = fake.state.requests;
+  const updates = [];
+  const { data, metadata } = parseResult(await client.callTool(
+    { name: 'get_company_profile', arguments: { url: companyUrl(), cache_mode: 'bypass' } },
+    undefined,
+    { onprogress: update => updates.push(update) }
+  ));
+  assert.equal(data.name, fake.dataset.companies[0].name);
+  assert.equal(fake.state.requests - before, 2);
+  assert.equal(metadata.retries.attempts, 2);
+  assert.deepEqual(metadata.retries.requests[0].errors, [503]);
+  assert.equal(updates.length, 1);
+  assert.match(updates[0].message, /company_profile request failed with 503; retrying in [\d.]+s \(attempt 2 of 4\)/);
+});
+
+test('a 429 waits for the Retry-After header instead of the backoff schedule', async () => {
+  fake.injectFailure(429, 1, 'company_profile');
+  const { metadata } = parseResult(await client.callTool({ name: 'get_company_profile', arguments: { url: companyUrl(), cache_mode: 'bypass' } }));
+  // The fake server sends Retry-After: 1; without it the first 429 backoff would be about 5s
+  assert.equal(metadata.retries.total_wait_ms, 1000);
+});
+
+test('cancelling a call stops its retries', async () => {
+  const companyRequests = () => fake.state.requestLog.filter(entry => entry.endpoint === 'company_profile').length;
+  const args = { url: companyUrl(), cache_mode: 'bypass' };
+  fake.injectFailure(503, 3, 'company_profile');
+  const before = companyRequests();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 300);
+  await assert.rejects(client.callTool({ name: 'get_company_profile', arguments: args }, undefined, { signal: controller.signal }));
+
+  // Without cancellation the first retry would go out after about a second
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.equal(companyRequests() - before, 1);
+
+  fake.state.failures = [];
+  const { data } = parseResult(await client.callTool({ name: 'get_company_profile', arguments: args }));
+  assert.equal(data.name, fake.dataset.companies[0].name);
+});
+
+test('failed Proxycurl requests return their error code and classification', async () => {
+  const args = { linkedin_profile_url: personUrl(), cache_mode: 'bypass' };
+  for (const [status, type, code] of [[404, 'not_found', -32013], [401, 'auth', -32010], [400, 'invalid_input', -32602]]) {
+    fake.injectFailure(status, 1, 'person_profile');
+    const { message, error } = parseError(await client.callTool({ name: 'get_person_profile', arguments: args }));
+    assert.match(message, new RegExp(`HTTP ${status}, ${type} error`));
+    assert.equal(error.code, code);
+    assert.equal(error.type, type);
+    assert.equal(error.retryable, false);
+    assert.equal(error.http_status, status);
+    assert.ok(error.hint);
+  }
+});
+
+test('calls over the credit budget are refused before anything is sent', async () => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-budget-'));
+  const budgeted = await connectServer(dataDir, ['--max-credits-per-session', '2']);
+  try {
+    const before = fake.state.requests;
+    const { message, error } = parseError(await budgeted.callTool({ name: 'search_people', arguments: { country: 'US', page_size: 5 } }));
+    assert.match(message, /Credit budget exceeded for 'search_people'.*No request was sent to Proxycurl/);
+    assert.equal(error.code, -32015);
+    assert.equal(error.type, 'budget');
+    assert.equal(error.request_sent, false);
+    assert.equal(error.budget.max_per_session, 2);
+    assert.equal(fake.state.requests, before);
+
+    // A fresh cache entry answers for free, so it is served even when the budget is used up
+    const args = { linkedin_profile_url: personUrl() };
+    parseResult(await budgeted.callTool({ name: 'get_person_profile', arguments: args }));
+    parseResult(await budgeted.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: fake.dataset.people[2].public_identifier } }));
+    const { metadata } = parseResult(await budgeted.callTool({ name: 'get_person_profile', arguments: args }));
+    assert.equal(metadata.cache.hits, 1);
+    const refused = parseError(await budgeted.callTool({ name: 'get_person_profile', arguments: { ...args, cache_mode: 'bypass' } }));
+    assert.equal(refused.error.code, -32015);
+  } finally {
+    await budgeted.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('timeouts and dropped connections are classified as upstream errors', async () => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-network-'));
+  const impatient = await connectServer(dataDir, ['--request-timeout', '0.5', '--max-retries', '0']);
+  try {
+    const args = { linkedin_profile_url: personUrl(), cache_mode: 'bypass' };
+    for (const [failure, reason] of [['hang', 'timeout'], ['drop', 'network']]) {
+      fake.injectFailure(failure, 1, 'person_profile');
+      const { message, error } = parseError(await impatient.callTool({ name: 'get_person_profile', arguments: args }));
+      assert.match(message, /No response from server/);
+      assert.equal(error.code, -32014);
+      assert.equal(error.type, 'upstream');
+      assert.equal(error.reason, reason);
+      assert.equal(error.retryable, true);
+    }
+  } finally {
+    await impatient.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('a slow or failing credit balance refresh does not hold up tool calls', async () => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-balance-'));
+  const tracked = await connectServer(dataDir, ['--request-timeout', '3', '--max-retries', '0', '--balance-refresh-interval', '1']);
+  try {
+    const args = { linkedin_profile_url: personUrl(), cache_mode: 'bypass' };
+    for (const failure of ['hang', 503]) {
+      fake.injectFailure(failure, 1, 'credit_balance');
+      const startedAt = Date.now();
+      const { data } = parseResult(await tracked.callTool({ name: 'get_person_profile', arguments: args }));
+      assert.equal(data.full_name, fake.dataset.people[1].full_name);
+      assert.ok(Date.now() - startedAt < 2000, 'the call waited for the balance refresh');
+      await new Promise(resolve => setTimeout(resolve, 1100));
+    }
+  } finally {
+    await tracked.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('repeated upstream failures open the circuit until a trial request succeeds', async () => {
+  // The MCP server runs with --circuit-failure-threshold 2 --circuit-cooldown 1
+  fake.injectFailure(503, 2, 'company_profile');
+  const args = { url: companyUrl(), cache_mode: 'bypass' };
+  const before = fake.state.requests;
+  const failure = parseError(await client.callTool({ name: 'get_company_profile', arguments: args }));
+  assert.match(failure.message, /503/);
+  assert.equal(fake.state.requests - before, 2);
+
+  const rejection = parseError(await client.callTool({ name: 'get_company_profile', arguments: args }));
+  assert.match(rejection.message, /unavailable after 2 consecutive failures/);
+  assert.equal(rejection.error.code, -32014);
+  assert.equal(rejection.error.circuit, 'open');
+  assert.equal(rejection.error.retryable, true);
+  assert.equal(rejection.error.retry_in_seconds, 1);
+  assert.equal(fake.state.requests - before, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const { data } = parseResult(await client.callTool({ name: 'get_company_profile', arguments: args }));
+  assert.equal(data.name, fake.dataset.companies[0].name);
+});
+
+test('running out of credits surfaces the 403', async () => {
+  const savedCredits = fake.state.credits;
+  fake.state.credits = 0;
+  try {
+    const { message, error } = parseError(await client.callTool({ name: 'get_person_profile', arguments: { linkedin_profile_url: personUrl(), cache_mode: 'bypass' } }));
+    assert.match(message, /403/);
+    assert.equal(error.code, -32011);
+    assert.equal(error.type, 'credits');
+    assert.equal(error.confirmed, true);
+    assert.equal(error.credit_balance, 0);
+
+    // The account circuit is now open: paid calls fail fast, the balance can still be checked
+    const before = fake.state.requests;
+    const rejection = parseError(await client.callTool({ name: 'get_company_profile', arguments: { url: companyUrl(), cache_mode: 'bypass' } }));
+    assert.match(rejection.message, /out of credits/);
+    assert.equal(rejection.error.code, -32011);
+    assert.equal(rejection.error.circuit, 'open');
+    assert.ok(rejection.error.retry_in_seconds > 0);
+    assert.equal(fake.state.requests, before);
+    const { data } = parseResult(await client.callTool({ name: 'get_credit_balance', arguments: {} }));
+    assert.equal(data.credit_balance, 0);
+  } finally {
+    fake.state.credits = savedCredits;
+  }
+});
+
+// Start an MCP server against the fake Proxycurl server and connect a client to it
+async function connectServer(dataDir, extraArgs = [], env = {}, baseUrl = fake.baseUrl) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH, '--api-key', 'offline-test-key', '--base-url', baseUrl, '--data-dir', dataDir, ...extraArgs],
+    env: { ...process.env, PROXYCURL_DEBUG: 'false', ...env },
+    stderr: 'ignore'
+  });
+  const serverClient = new Client({ name: 'proxycurl-mcp-e2e', version: '1.0.0' });
+  await serverClient.connect(transport);
+  return serverClient;
+}
+
+async function main() {
+  const dataDir = await mkdtemp(join(tmpdir(), 'proxycurl-mcp-e2e-'));
+  fake = await startFakeProxycurlServer({ apiKey: 'offline-test-key' });
+
+  let failed = 0;
+  try {
+    client = await connectServer(dataDir, ['--circuit-failure-threshold', '2', '--circuit-cooldown', '1']);
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+      } catch (error) {
+        failed += 1;
+        console.log(`✗ ${name}\n  ${error.message}`);
+      }
+    }
+  } finally {
+    await client.close().catch(() => {});
+    await fake.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});